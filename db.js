@@ -19,7 +19,9 @@ CREATE TABLE IF NOT EXISTS giveaways (
   canceled INTEGER DEFAULT 0,
   cancel_reason TEXT,
   announced INTEGER DEFAULT 0,
-  announced_at INTEGER
+  announced_at INTEGER,
+  participants_hash TEXT,
+  referral_cap INTEGER DEFAULT 0
 );
 
 CREATE TABLE IF NOT EXISTS participants (
@@ -27,19 +29,261 @@ CREATE TABLE IF NOT EXISTS participants (
   user_id INTEGER NOT NULL,
   name TEXT NOT NULL,
   joined_at INTEGER NOT NULL,
+  weight INTEGER DEFAULT 1,
   PRIMARY KEY (giveaway_id, user_id)
 );
 
 CREATE TABLE IF NOT EXISTS winners (
   giveaway_id INTEGER NOT NULL,
   user_id INTEGER NOT NULL,
-  name TEXT NOT NULL
+  name TEXT NOT NULL,
+  tier INTEGER DEFAULT 1,
+  status TEXT DEFAULT 'pending',
+  rank_pos INTEGER,
+  claim_deadline INTEGER,
+  claimed_at INTEGER,
+  replaced_by INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS prize_tiers (
+  giveaway_id INTEGER NOT NULL,
+  position INTEGER NOT NULL,
+  label TEXT NOT NULL,
+  winners INTEGER NOT NULL,
+  PRIMARY KEY (giveaway_id, position)
+);
+
+CREATE TABLE IF NOT EXISTS bonus_rules (
+  giveaway_id INTEGER NOT NULL,
+  kind TEXT NOT NULL,
+  chat_id TEXT,
+  tickets INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS referrals (
+  giveaway_id INTEGER NOT NULL,
+  referee_id INTEGER NOT NULL,
+  referrer_id INTEGER NOT NULL,
+  created_at INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  credited_at INTEGER,
+  PRIMARY KEY (giveaway_id, referee_id)
+);
+
+-- lần đầu bot thấy user trong group (join / nhắn tin); giữ lại cả khi rời group
+-- joined_at: lần đầu thấy sự kiện vào group (NULL = chỉ thấy nhắn tin, có thể là thành viên cũ)
+CREATE TABLE IF NOT EXISTS member_since (
+  chat_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  first_seen INTEGER NOT NULL,
+  joined_at INTEGER,
+  PRIMARY KEY (chat_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS form_state (
+  user_id INTEGER PRIMARY KEY,
+  state TEXT NOT NULL,
+  updated_at INTEGER NOT NULL,
+  expires_at INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS drafts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  owner_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  data TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+-- recurring giveaways: each run = 1 row in giveaways (own seed/commit), series_id -> series.id
+CREATE TABLE IF NOT EXISTS series (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  chat_id INTEGER NOT NULL,
+  owner_id INTEGER NOT NULL,
+  days TEXT NOT NULL,
+  time TEXT NOT NULL,
+  duration INTEGER NOT NULL,
+  winners INTEGER NOT NULL,
+  prize TEXT NOT NULL,
+  sponsor TEXT NOT NULL,
+  paused INTEGER DEFAULT 0,
+  next_run INTEGER,
+  created_at INTEGER NOT NULL
+);
+
+-- append-only: hash = sha256(prev_hash + entry), sửa/xóa 1 dòng -> chuỗi hash gãy
+CREATE TABLE IF NOT EXISTS audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  actor_id INTEGER NOT NULL,
+  action TEXT NOT NULL,
+  giveaway_id INTEGER,
+  args TEXT,
+  result TEXT,
+  created_at INTEGER NOT NULL,
+  prev_hash TEXT NOT NULL,
+  hash TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_giveaway ON audit_log(giveaway_id);
+
+CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+
+CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+
+-- role lưu DB (owner | admin | sponsor); ADMIN_IDS env luôn là owner
+CREATE TABLE IF NOT EXISTS roles (
+  user_id INTEGER PRIMARY KEY,
+  role TEXT NOT NULL,
+  added_by INTEGER,
+  created_at INTEGER NOT NULL
+);
+
+-- group đã link (/setgroup); id ngắn dùng cho /giveaway ...|groups=1,3 và /history <id>
+CREATE TABLE IF NOT EXISTS groups (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  chat_id INTEGER NOT NULL UNIQUE,
+  title TEXT,
+  added_by INTEGER,
+  created_at INTEGER NOT NULL
+);
+
+-- mỗi group giveaway được đăng (giveaway chung = nhiều dòng); giveaways.chat_id / message_id = group chính
+CREATE TABLE IF NOT EXISTS giveaway_chats (
+  giveaway_id INTEGER NOT NULL,
+  chat_id INTEGER NOT NULL,
+  message_id INTEGER NOT NULL DEFAULT 0,
+  announced INTEGER DEFAULT 0,
+  PRIMARY KEY (giveaway_id, chat_id)
 );
 
+-- điều kiện tham gia: member (chat/channel) | tenure (ở trong group >= seconds) | captcha | question (DM, deep link v<id>)
+CREATE TABLE IF NOT EXISTS entry_rules (
+  giveaway_id INTEGER NOT NULL,
+  kind TEXT NOT NULL,
+  chat_id TEXT,
+  question TEXT,
+  answer TEXT,
+  seconds INTEGER
+);
+
+-- captcha / câu hỏi đã vượt qua
+CREATE TABLE IF NOT EXISTS entry_passes (
+  giveaway_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  kind TEXT NOT NULL,
+  passed_at INTEGER NOT NULL,
+  PRIMARY KEY (giveaway_id, user_id, kind)
+);
+
+-- thử thách đang chờ trả lời trong DM (1 / user); locked_until sau quá nhiều lần sai
+CREATE TABLE IF NOT EXISTS entry_challenges (
+  user_id INTEGER PRIMARY KEY,
+  giveaway_id INTEGER NOT NULL,
+  kind TEXT NOT NULL,
+  expected TEXT,
+  attempts INTEGER DEFAULT 0,
+  locked_until INTEGER,
+  expires_at INTEGER NOT NULL
+);
+
+-- chat_id = 0: cấm toàn bộ; khác 0: chỉ giveaway đăng trong group đó
+CREATE TABLE IF NOT EXISTS blacklist (
+  user_id INTEGER NOT NULL,
+  chat_id INTEGER NOT NULL DEFAULT 0,
+  reason TEXT,
+  added_by INTEGER,
+  created_at INTEGER NOT NULL,
+  PRIMARY KEY (user_id, chat_id)
+);
+
+-- người bị loại lúc quay (blacklist / cooldown / đáng ngờ), chuyển khỏi participants trước khi chốt participants_hash
+CREATE TABLE IF NOT EXISTS excluded_entries (
+  giveaway_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  weight INTEGER DEFAULT 1,
+  joined_at INTEGER,
+  reason TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  PRIMARY KEY (giveaway_id, user_id)
+);
+
+-- tin gửi đi (kết quả, hủy, proof / claim DM): ghi cùng transaction với thay đổi trạng thái, worker gửi + retry
+-- key duy nhất -> enqueue lại không gửi trùng; status: pending | sent | failed (hết lượt thử / lỗi vĩnh viễn)
+CREATE TABLE IF NOT EXISTS outbox (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  key TEXT NOT NULL UNIQUE,
+  kind TEXT NOT NULL,
+  giveaway_id INTEGER,
+  chat_id INTEGER NOT NULL,
+  method TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER DEFAULT 0,
+  next_at INTEGER NOT NULL,
+  last_error TEXT,
+  created_at INTEGER NOT NULL,
+  sent_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbox_due ON outbox(status, next_at);
+
+-- REST API (/api/...): chỉ lưu sha256 của key, key hiện 1 lần lúc tạo (/apikey add)
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  created_by INTEGER,
+  created_at INTEGER NOT NULL,
+  last_used_at INTEGER,
+  revoked_at INTEGER
+);
+
+-- webhook ra ngoài (/hook): event = created | joined | drawn | canceled | claimed | all; secret ký HMAC
+CREATE TABLE IF NOT EXISTS hooks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  event TEXT NOT NULL,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  created_by INTEGER,
+  created_at INTEGER NOT NULL,
+  UNIQUE (event, url)
+);
+
+-- 1 sự kiện x 1 hook = 1 dòng: hàng đợi gửi (retry + backoff) và nhật ký (/hook log)
+-- event_id trùng (emit lại khi retry) -> bỏ qua
+CREATE TABLE IF NOT EXISTS hook_deliveries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  hook_id INTEGER NOT NULL,
+  event TEXT NOT NULL,
+  event_id TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER DEFAULT 0,
+  next_at INTEGER NOT NULL,
+  last_status INTEGER,
+  last_error TEXT,
+  created_at INTEGER NOT NULL,
+  delivered_at INTEGER,
+  UNIQUE (hook_id, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_hook_deliveries_due ON hook_deliveries(status, next_at);
+
 CREATE TABLE IF NOT EXISTS settings (
   key TEXT PRIMARY KEY,
   value TEXT
 );
+
+-- /stats: gộp theo user / sponsor / thời gian
+CREATE INDEX IF NOT EXISTS idx_participants_user ON participants(user_id);
+CREATE INDEX IF NOT EXISTS idx_winners_giveaway ON winners(giveaway_id);
+CREATE INDEX IF NOT EXISTS idx_winners_user ON winners(user_id);
+CREATE INDEX IF NOT EXISTS idx_giveaways_sponsor ON giveaways(sponsor COLLATE NOCASE);
+CREATE INDEX IF NOT EXISTS idx_giveaways_end_time ON giveaways(end_time);
 `);
 
 function addColumnIfMissing(table, column, type) {
@@ -54,6 +298,31 @@ addColumnIfMissing("giveaways", "canceled", "INTEGER DEFAULT 0");
 addColumnIfMissing("giveaways", "cancel_reason", "TEXT");
 addColumnIfMissing("giveaways", "announced", "INTEGER DEFAULT 0");
 addColumnIfMissing("giveaways", "announced_at", "INTEGER");
+addColumnIfMissing("giveaways", "participants_hash", "TEXT");
+addColumnIfMissing("winners", "tier", "INTEGER DEFAULT 1");
+addColumnIfMissing("participants", "weight", "INTEGER DEFAULT 1");
+addColumnIfMissing("giveaways", "referral_cap", "INTEGER DEFAULT 0");
+addColumnIfMissing("winners", "status", "TEXT DEFAULT 'pending'");
+addColumnIfMissing("winners", "rank_pos", "INTEGER");
+addColumnIfMissing("winners", "claim_deadline", "INTEGER");
+addColumnIfMissing("winners", "claimed_at", "INTEGER");
+addColumnIfMissing("winners", "replaced_by", "INTEGER");
+addColumnIfMissing("giveaways", "start_time", "INTEGER"); // NULL = đăng ngay; message_id = 0 -> chưa đăng
+addColumnIfMissing("giveaways", "series_id", "INTEGER");
+addColumnIfMissing("giveaways", "paused", "INTEGER DEFAULT 0");
+addColumnIfMissing("giveaways", "updated_at", "INTEGER"); // lần sửa gần nhất (/edit /extend /pause /resume)
+addColumnIfMissing("giveaways", "owner_id", "INTEGER"); // người tạo (sponsor chỉ thấy / sửa giveaway của mình)
+addColumnIfMissing("participants", "flags", "TEXT"); // anti-fraud: no_username,no_photo,burst
+addColumnIfMissing("entry_challenges", "locks", "INTEGER DEFAULT 0"); // số lần bị khóa liên tiếp (khóa lâu dần)
+addColumnIfMissing("giveaways", "members_checked_at", "INTEGER"); // re-check member trước end_time (người vào sau đó check lúc quay)
+addColumnIfMissing("giveaways", "draw_started_at", "INTEGER"); // claim lượt quay (trước khi ended = 1)
+addColumnIfMissing("excluded_entries", "joined_at", "INTEGER");
+
+// giveaway cũ (1 group) -> giveaway_chats
+db.exec(`
+  INSERT OR IGNORE INTO giveaway_chats(giveaway_id,chat_id,message_id,announced)
+  SELECT id, chat_id, message_id, announced FROM giveaways
+`);
 
 function setSetting(key, value) {
   db.prepare(`
@@ -67,4 +336,10 @@ function getSetting(key) {
   return r ? r.value : null;
 }
 
+// default_group_id cũ -> registry
+const legacyGroupId = getSetting("default_group_id");
+if (legacyGroupId) {
+  db.prepare(`INSERT OR IGNORE INTO groups(chat_id,created_at) VALUES (?,?)`).run(Number(legacyGroupId), Math.floor(Date.now() / 1000));
+}
+
 module.exports = { db, setSetting, getSetting };
@@ -0,0 +1,94 @@
+const crypto = require("crypto");
+
+// ---------------- Provably-fair draw (shared by bot + verifier) ----------------
+function sha256Hex(input) {
+  return crypto.createHash("sha256").update(input).digest("hex");
+}
+
+function hmacSha256Hex(key, msg) {
+  return crypto.createHmac("sha256", key).update(msg).digest("hex");
+}
+
+function makeSeed() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+function ticketsOf(p) {
+  return Math.max(1, Math.floor(Number(p.weight) || 1));
+}
+
+/**
+ * Frozen participant list hash: sha256 of entries sorted by user_id asc, joined by ",".
+ * Entry = "<user_id>" (1 ticket) or "<user_id>:<tickets>" (weighted).
+ */
+function hashParticipants(participants) {
+  const entries = participants
+    .map(p => ({ user_id: Number(p.user_id), tickets: ticketsOf(p) }))
+    .sort((a, b) => a.user_id - b.user_id)
+    .map(p => (p.tickets > 1 ? `${p.user_id}:${p.tickets}` : String(p.user_id)));
+  return sha256Hex(entries.join(","));
+}
+
+/**
+ * Draw key = HMAC_SHA256(seed, participants_hash).
+ * Seed is committed at creation, participants_hash only exists at end_time,
+ * so nobody can precompute the ranking while entries are still open.
+ * Legacy giveaways (drawn before participants_hash existed) rank with the seed itself.
+ */
+function deriveDrawKey(seed, participantsHash) {
+  return participantsHash ? hmacSha256Hex(seed, participantsHash) : seed;
+}
+
+/**
+ * Full ranking, sort asc (tie -> user_id asc).
+ * A participant with w tickets owns w HMAC values:
+ *   ticket 0 = HMAC_SHA256(key, `${gid}:${user_id}`), ticket t = HMAC_SHA256(key, `${gid}:${user_id}:${t}`)
+ * and ranks by the smallest one. Min of w uniform draws = weighted sampling without replacement
+ * (chance ∝ tickets), and w = 1 gives exactly the unweighted rank.
+ */
+function rankParticipants(key, gid, participants) {
+  const ranked = participants.map(p => {
+    let rank = hmacSha256Hex(key, `${gid}:${p.user_id}`);
+    for (let t = 1; t < ticketsOf(p); t++) {
+      const r = hmacSha256Hex(key, `${gid}:${p.user_id}:${t}`);
+      if (r < rank) rank = r;
+    }
+    return { ...p, rank };
+  });
+
+  ranked.sort((a, b) => {
+    const c = a.rank.localeCompare(b.rank);
+    if (c !== 0) return c;
+    return a.user_id - b.user_id;
+  });
+
+  return ranked;
+}
+
+/** Provably-fair: rank (see rankParticipants), sort asc, take top k (key = deriveDrawKey) */
+function pickWinnersDeterministic(key, gid, participants, k) {
+  const ranked = rankParticipants(key, gid, participants);
+  return ranked.slice(0, Math.min(k, ranked.length));
+}
+
+/** Fill prize tiers in rank order: first tiers[0].winners picks -> tier 1, next -> tier 2, ... */
+function assignTiers(picked, tiers) {
+  const out = [];
+  let i = 0;
+  for (const t of tiers) {
+    for (let n = 0; n < t.winners && i < picked.length; n++) out.push({ ...picked[i++], tier: t.position });
+  }
+  return out;
+}
+
+module.exports = {
+  sha256Hex,
+  hmacSha256Hex,
+  makeSeed,
+  ticketsOf,
+  hashParticipants,
+  deriveDrawKey,
+  rankParticipants,
+  pickWinnersDeterministic,
+  assignTiers
+};
@@ -0,0 +1,25 @@
+const fs = require("fs");
+const path = require("path");
+
+// ---------------- Message catalog ----------------
+// Mỗi ngôn ngữ = 1 file locales/<code>.js (module.exports = { key: "text {param}" }).
+// Thêm ngôn ngữ mới: chỉ cần thêm 1 file.
+const LOCALES = {};
+for (const file of fs.readdirSync(path.join(__dirname, "locales"))) {
+  if (file.endsWith(".js")) LOCALES[path.basename(file, ".js")] = require(path.join(__dirname, "locales", file));
+}
+
+const LANGS = Object.keys(LOCALES);
+const DEFAULT_LANG = LOCALES[process.env.DEFAULT_LANG] ? process.env.DEFAULT_LANG : "vi";
+
+function isLang(code) {
+  return Object.prototype.hasOwnProperty.call(LOCALES, code);
+}
+
+/** t("en", "key", { n: 3 }) -> text; missing key falls back to DEFAULT_LANG, then to the key itself */
+function t(lang, key, params = {}) {
+  const msg = (LOCALES[lang] && LOCALES[lang][key]) ?? LOCALES[DEFAULT_LANG][key] ?? key;
+  return msg.replace(/\{(\w+)\}/g, (m, name) => (name in params ? String(params[name]) : m));
+}
+
+module.exports = { t, isLang, LANGS, DEFAULT_LANG };
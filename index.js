@@ -1,11 +1,12 @@
 require("dotenv").config();
+const http = require("http");
+const crypto = require("crypto");
 const { Telegraf, Markup } = require("telegraf");
 
 const dayjs = require("dayjs");
 const customParseFormat = require("dayjs/plugin/customParseFormat");
 const utc = require("dayjs/plugin/utc");
 const timezone = require("dayjs/plugin/timezone");
-const crypto = require("crypto");
 
 dayjs.extend(customParseFormat);
 dayjs.extend(utc);
@@ -15,6 +16,18 @@ const TZ = process.env.TIMEZONE || "Asia/Ho_Chi_Minh";
 dayjs.tz.setDefault(TZ);
 
 const { db, setSetting, getSetting } = require("./db");
+const {
+  sha256Hex,
+  makeSeed,
+  ticketsOf,
+  hashParticipants,
+  deriveDrawKey,
+  rankParticipants,
+  pickWinnersDeterministic,
+  assignTiers
+} = require("./fair");
+const { t, isLang, LANGS, DEFAULT_LANG } = require("./i18n");
+const { exportBundle, isDrawn, giveawayStatus } = require("./verify");
 const bot = new Telegraf(process.env.BOT_TOKEN);
 
 const ADMINS = (process.env.ADMIN_IDS || "")
@@ -24,13 +37,103 @@ const ADMINS = (process.env.ADMIN_IDS || "")
   .map(Number);
 
 const TICK_SECONDS = Math.max(5, Number(process.env.TICK_SECONDS || 30));
+const POST_UPDATE_SECONDS = Math.max(1, Number(process.env.POST_UPDATE_SECONDS || 5)); // tối đa 1 lần sửa post / giveaway
 const START_LINK = process.env.START_LINK || "";
+const MAX_TICKETS = 100; // trần vé / người (base + bonus)
+const DEFAULT_REFERRAL_CAP = Math.max(0, Number(process.env.REFERRAL_CAP || 5)); // vé bonus tối đa từ referral / người
+const CLAIM_HOURS = Math.max(0, Number(process.env.CLAIM_HOURS ?? 24)); // hạn nhận quà, 0 = không giới hạn
+
+// ---------------- Roles & permissions ----------------
+// ADMIN_IDS (env) = owner cố định, không đổi được bằng lệnh; các role khác lưu ở bảng roles
+const ROLES = ["owner", "admin", "sponsor"];
+const ROLE_ICONS = { owner: "👑", admin: "🛡", sponsor: "🤝" };
+// GROUP_ADMINS=1 -> admin Telegram của group được làm admin giveaway cho chính group đó
+const GROUP_ADMINS = process.env.GROUP_ADMINS === "1";
+
+// quyền -> role được phép
+const PERMS = {
+  roles: ["owner"], // /admins /addadmin /removeadmin /setrole
+  settings: ["owner", "admin"], // /setgroup /group /series /audit /outbox /apikey /hook
+  create: ["owner", "admin", "sponsor"], // /giveaway /newgiveaway /drafts
+  manage: ["owner", "admin"] // mọi giveaway; sponsor chỉ giveaway của mình, trừ /bonus /reroll (OUTCOME_CMDS)
+};
+
+function getRole(userId) {
+  if (ADMINS.includes(userId)) return "owner";
+  return db.prepare(`SELECT role FROM roles WHERE user_id=?`).get(userId)?.role || null;
+}
 
-// ---------------- helpers ----------------
-function isAdmin(userId) {
-  return ADMINS.includes(userId);
+function can(userId, perm) {
+  return PERMS[perm].includes(getRole(userId));
+}
+
+const groupAdminCache = new Map(); // "chatId:userId" -> { ok, at }
+
+async function isGroupAdmin(ctx, chatId, userId) {
+  const key = `${chatId}:${userId}`;
+  const hit = groupAdminCache.get(key);
+  if (hit && Date.now() - hit.at < 60 * 1000) return hit.ok;
+
+  const m = await ctx.telegram.getChatMember(chatId, userId).catch(() => null);
+  const ok = ["administrator", "creator"].includes(m?.status);
+  groupAdminCache.set(key, { ok, at: Date.now() });
+  return ok;
+}
+
+// chatIds = null -> tạo được ở ít nhất 1 group đã link; group admin chỉ tạo cho group mình
+async function canCreate(ctx, chatIds = null) {
+  if (can(ctx.from.id, "create")) return true;
+  if (!GROUP_ADMINS) return false;
+
+  const targets = chatIds || getGroups().map(gr => gr.chat_id);
+  const checks = [];
+  for (const chatId of targets) checks.push(await isGroupAdmin(ctx, chatId, ctx.from.id));
+  return chatIds ? checks.length > 0 && checks.every(Boolean) : checks.some(Boolean);
+}
+
+// owner/admin: mọi giveaway; sponsor: giveaway mình tạo; group admin (GROUP_ADMINS=1): giveaway đăng trong group mình
+async function canManageGiveaway(ctx, g) {
+  const userId = ctx.from.id;
+  if (can(userId, "manage")) return true;
+  if (g.owner_id === userId && getRole(userId) === "sponsor") return true;
+  if (!GROUP_ADMINS) return false;
+
+  for (const c of giveawayChats(g.id)) {
+    if (await isGroupAdmin(ctx, c.chat_id, userId)) return true;
+  }
+  return false;
+}
+
+// người nhận DM proof / claim của 1 giveaway: owner + admin + người tạo
+function giveawayStaffIds(g) {
+  const ids = new Set(ADMINS);
+  for (const r of db.prepare(`SELECT user_id FROM roles WHERE role IN ('owner','admin')`).all()) ids.add(r.user_id);
+  if (g.owner_id) ids.add(g.owner_id);
+  return [...ids];
+}
+
+// -> key lỗi hoặc null; role = null -> xóa role
+function changeRole(actorId, userId, role) {
+  if (ADMINS.includes(userId)) return "role_env_owner";
+  const cur = getRole(userId);
+  if (!role && !cur) return "role_not_found";
+
+  const owners = ADMINS.length + db.prepare(`SELECT COUNT(*) AS c FROM roles WHERE role='owner'`).get().c;
+  if (cur === "owner" && role !== "owner" && owners <= 1) return "role_last_owner";
+
+  if (role) {
+    db.prepare(`
+      INSERT INTO roles(user_id,role,added_by,created_at) VALUES (?,?,?,?)
+      ON CONFLICT(user_id) DO UPDATE SET role=excluded.role, added_by=excluded.added_by, created_at=excluded.created_at
+    `).run(userId, role, actorId, dayjs().unix());
+  } else {
+    db.prepare(`DELETE FROM roles WHERE user_id=?`).run(userId);
+  }
+  return null;
 }
 
+// ---------------- helpers ----------------
+
 function escHtml(s) {
   return String(s ?? "")
     .replace(/&/g, "&amp;")
@@ -39,52 +142,461 @@ function escHtml(s) {
     .replace(/"/g, "&quot;");
 }
 
-function sha256Hex(input) {
-  return crypto.createHash("sha256").update(input).digest("hex");
+function fmtUnix(unixTs, lang = DEFAULT_LANG) {
+  return dayjs.unix(unixTs).tz(TZ).format(t(lang, "date_format"));
+}
+
+async function isGroupMember(ctx, chatId, userId) {
+  try {
+    const m = await ctx.telegram.getChatMember(chatId, userId);
+    return ["member", "administrator", "creator"].includes(m.status);
+  } catch {
+    return false;
+  }
+}
+
+async function isChatBooster(ctx, chatId, userId) {
+  try {
+    const r = await ctx.telegram.getUserChatBoosts(chatId, userId);
+    return (r?.boosts || r || []).length > 0;
+  } catch {
+    return false;
+  }
 }
 
-function hmacSha256Hex(key, msg) {
-  return crypto.createHmac("sha256", key).update(msg).digest("hex");
+// bonus tickets from per-giveaway rules (checked at join time)
+async function computeBonusTickets(ctx, g, userId) {
+  const rules = db.prepare(`SELECT kind, chat_id, tickets FROM bonus_rules WHERE giveaway_id=?`).all(g.id);
+  let bonus = 0;
+  for (const r of rules) {
+    const ok = r.kind === "boost"
+      ? await isChatBooster(ctx, g.chat_id, userId)
+      : await isGroupMember(ctx, r.chat_id, userId);
+    if (ok) bonus += r.tickets;
+  }
+  return bonus;
 }
 
-function fmtUnix(unixTs) {
-  return dayjs.unix(unixTs).tz(TZ).format("HH:mm DD/MM/YYYY");
+function clampTickets(n) {
+  return Math.min(MAX_TICKETS, Math.max(1, Math.floor(n)));
 }
 
-function makeSeed() {
-  return crypto.randomBytes(32).toString("hex");
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-/** Provably-fair: rank = HMAC_SHA256(seed, `${gid}:${user_id}`), sort asc, take top k */
-function pickWinnersDeterministic(seed, gid, participants, k) {
-  const ranked = participants.map(p => ({
-    ...p,
-    rank: hmacSha256Hex(seed, `${gid}:${p.user_id}`)
-  }));
+// ---------------- Audit log ----------------
+// lệnh admin có thay đổi dữ liệu (đọc như /history /ginfo không ghi)
+const AUDITED_CMDS = new Set([
+  "/setgroup", "/lang", "/giveaway", "/cancel", "/bonus", "/bonusrule", "/refcap", "/reroll",
+  "/edit", "/extend", "/pause", "/resume", "/series", "/announce", "/addadmin", "/removeadmin", "/setrole", "/unlinkgroup",
+  "/require", "/ban", "/unban", "/cooldown", "/antifraud", "/outbox", "/apikey", "/hook"
+]);
+const AUDIT_PAGE_SIZE = 10;
+const AUDIT_GENESIS = "0".repeat(64);
+
+function auditEntryHash(prevHash, e) {
+  return sha256Hex(prevHash + "|" + JSON.stringify([
+    e.actor_id, e.action, e.giveaway_id ?? null, e.args ?? null, e.result ?? null, e.created_at
+  ]));
+}
 
-  ranked.sort((a, b) => {
-    const c = a.rank.localeCompare(b.rank);
-    if (c !== 0) return c;
-    return a.user_id - b.user_id;
-  });
+const appendAudit = db.transaction(e => {
+  const prev = db.prepare(`SELECT hash FROM audit_log ORDER BY id DESC LIMIT 1`).get();
+  const prevHash = prev ? prev.hash : AUDIT_GENESIS;
+  db.prepare(`
+    INSERT INTO audit_log(actor_id,action,giveaway_id,args,result,created_at,prev_hash,hash)
+    VALUES (?,?,?,?,?,?,?,?)
+  `).run(e.actor_id, e.action, e.giveaway_id ?? null, e.args ?? null, e.result ?? null, e.created_at, prevHash, auditEntryHash(prevHash, e));
+});
 
-  return ranked.slice(0, Math.min(k, ranked.length));
+function audit(actorId, action, giveawayId, args, result) {
+  try {
+    appendAudit({
+      actor_id: actorId,
+      action,
+      giveaway_id: giveawayId || null,
+      args: args ? String(args).slice(0, 500) : null,
+      result: result ? String(result).slice(0, 200) : null,
+      created_at: dayjs().unix()
+    });
+  } catch (err) {
+    console.error("AUDIT_FAIL", action, err);
+  }
 }
 
-async function isGroupMember(ctx, chatId, userId) {
+// -> null nếu chuỗi nguyên vẹn, ngược lại id của dòng đầu tiên bị sửa
+function verifyAuditChain() {
+  let prevHash = AUDIT_GENESIS;
+  for (const e of db.prepare(`SELECT * FROM audit_log ORDER BY id ASC`).iterate()) {
+    if (e.prev_hash !== prevHash || e.hash !== auditEntryHash(prevHash, e)) return e.id;
+    prevHash = e.hash;
+  }
+  return null;
+}
+
+// 1 dòng kết quả: câu trả lời đầu tiên của bot (bỏ HTML nếu parse_mode HTML)
+function auditResultOf(text, extra) {
+  let s = String(text ?? "");
+  if (extra?.parse_mode === "HTML") {
+    s = s.replace(/<[^>]+>/g, "").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, "\"").replace(/&amp;/g, "&");
+  }
+  return s.split("\n").find(x => x.trim())?.trim() || null;
+}
+
+// ghi mọi lệnh admin trong AUDITED_CMDS: actor, args, giveaway (ctx.state.auditGiveawayId hoặc <id> của GIVEAWAY_CMDS), kết quả
+// người không có role (group admin khi GROUP_ADMINS=1): chỉ ghi khi lệnh thật sự chạy (bot có trả lời)
+// ctx.state.auditSkip: lệnh không phải thay đổi của admin (vd /lang cá nhân) -> không ghi
+bot.use(async (ctx, next) => {
+  const cmd = getCmd(ctx);
+  if (!AUDITED_CMDS.has(cmd) || !ctx.from) return next();
+  const staff = !!getRole(ctx.from.id);
+  if (!staff && !GROUP_ADMINS) return next();
+
+  const args = (ctx.message.text || "").trim().split(/\s+/).slice(1).join(" ");
+  let result = null;
+  const reply = ctx.reply.bind(ctx);
+  ctx.reply = (text, extra) => {
+    if (result === null) result = auditResultOf(text, extra);
+    return reply(text, extra);
+  };
+
   try {
-    const m = await ctx.telegram.getChatMember(chatId, userId);
-    return ["member", "administrator", "creator"].includes(m.status);
-  } catch {
-    return false;
+    await next();
+  } catch (err) {
+    result = `error: ${err?.message || err}`;
+    throw err;
+  } finally {
+    const gid = "auditGiveawayId" in ctx.state ? ctx.state.auditGiveawayId
+      : GIVEAWAY_CMDS.has(cmd) ? (Number(args.split(" ")[0]) || null)
+      : null;
+    if ((staff || result !== null) && !ctx.state.auditSkip) audit(ctx.from.id, cmd.slice(1), gid, args, result);
+  }
+});
+
+function buildAuditPage(gid, page, lang) {
+  const where = gid ? `WHERE giveaway_id=?` : "";
+  const params = gid ? [gid] : [];
+  const total = db.prepare(`SELECT COUNT(*) AS c FROM audit_log ${where}`).get(...params).c;
+  const rows = db.prepare(`
+    SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ? OFFSET ?
+  `).all(...params, AUDIT_PAGE_SIZE, page * AUDIT_PAGE_SIZE);
+
+  const pages = Math.max(1, Math.ceil(total / AUDIT_PAGE_SIZE));
+  let text = `${t(lang, "audit_title", { page: page + 1, pages })}${gid ? ` — #${gid}` : ""}\n\n`;
+  if (!rows.length) text += t(lang, "audit_empty");
+  for (const e of rows) {
+    text += `<b>#${e.id}</b> 🕒 ${fmtUnix(e.created_at, lang)} | 👤 <code>${e.actor_id}</code>\n`;
+    text += `   /${escHtml(e.action)} ${escHtml(e.args || "")}\n`;
+    text += `   → ${escHtml(e.result || "-")}\n`;
+  }
+
+  const nav = [];
+  if (page > 0) nav.push(Markup.button.callback(t(lang, "btn_prev"), `audit_${gid || 0}_${page - 1}`));
+  if (page + 1 < pages) nav.push(Markup.button.callback(t(lang, "btn_next"), `audit_${gid || 0}_${page + 1}`));
+  return { text, extra: { parse_mode: "HTML", ...Markup.inlineKeyboard(nav) } };
+}
+
+// ---------------- Leavers ----------------
+// rời group -> bị loại khỏi giveaway đang chạy của group đó (excluded_entries, reason "left")
+const MEMBER_CHECK_BATCH = 20; // getChatMember song song mỗi lượt khi re-check trước khi quay
+const MEMBER_CHECK_PAUSE_MS = 1000;
+const MEMBER_PRECHECK_LEAD_SECONDS = 15 * 60; // re-check toàn bộ (chạy nền) khi còn <= 15 phút
+const MEMBER_RECHECK_BUDGET_MS = 30 * 1000; // lúc quay: chỉ người vào sau lượt re-check trước, tối đa 30s
+
+function isInChat(m) {
+  return IN_CHAT_STATUSES.includes(m.status) || (m.status === "restricted" && !!m.is_member);
+}
+
+// true / false; null = không rõ (lỗi API khác 429) -> giữ nguyên, không loại
+async function memberStatus(chatId, userId) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      return isInChat(await bot.telegram.getChatMember(chatId, userId));
+    } catch (err) {
+      const retryAfter = err?.response?.parameters?.retry_after;
+      if (!retryAfter) {
+        console.error("MEMBER_CHECK_FAIL", chatId, userId, err?.response?.description || err);
+        return null;
+      }
+      await sleep(retryAfter * 1000);
+    }
+  }
+  return null;
+}
+
+// user rời chatId: loại khỏi giveaway đang chạy của group đó (giveaway chung: trừ khi vẫn ở group khác)
+let droppingLeavers = 0; // đang chạy (shutdown chờ xong mới đóng db)
+
+async function dropLeaver(chatId, userId) {
+  droppingLeavers++;
+  try {
+    await dropLeaverNow(chatId, userId);
+  } finally {
+    droppingLeavers--;
+  }
+}
+
+async function dropLeaverNow(chatId, userId) {
+  const now = dayjs().unix();
+  const rows = db.prepare(`
+    SELECT p.giveaway_id, p.user_id, p.name, p.weight, p.joined_at FROM participants p
+    JOIN giveaways g ON g.id = p.giveaway_id
+    JOIN giveaway_chats c ON c.giveaway_id = p.giveaway_id AND c.chat_id = ?
+    WHERE p.user_id=? AND g.ended=0 AND g.canceled=0
+  `).all(chatId, userId);
+
+  for (const p of rows) {
+    let stillIn = false;
+    for (const c of giveawayChats(p.giveaway_id)) {
+      if (c.chat_id !== chatId && (stillIn = (await memberStatus(c.chat_id, userId)) !== false)) break;
+    }
+    if (stillIn) continue;
+    excludeParticipant(p.giveaway_id, p, "left", now);
+    schedulePostUpdate(p.giveaway_id);
+  }
+}
+
+// ai không còn ở group nào của giveaway -> loại; theo lượt để tránh 429 khi giveaway lớn
+// since: chỉ người tham gia từ lúc đó; hết deadline -> dừng, người chưa check được giữ nguyên (như lỗi API)
+// true = đã check hết
+async function recheckMembers(g, now, { since = null, deadline = Infinity } = {}) {
+  const chatIds = giveawayChats(g.id).map(c => c.chat_id);
+  const rows = db.prepare(`
+    SELECT user_id, name, weight, joined_at FROM participants
+    WHERE giveaway_id=? AND joined_at < ? AND joined_at >= ?
+    ORDER BY user_id ASC
+  `).all(g.id, g.end_time, since ?? 0);
+
+  for (let i = 0; i < rows.length; i += MEMBER_CHECK_BATCH) {
+    if (i && (shuttingDown || Date.now() >= deadline)) {
+      console.error("MEMBER_RECHECK_PARTIAL", g.id, i, rows.length);
+      return false;
+    }
+    if (i) await sleep(MEMBER_CHECK_PAUSE_MS);
+    tickBeat();
+    const batch = rows.slice(i, i + MEMBER_CHECK_BATCH);
+    const gone = await Promise.all(batch.map(async p => {
+      let unknown = false;
+      for (const chatId of chatIds) {
+        const s = await memberStatus(chatId, p.user_id);
+        if (s) return false;
+        if (s === null) unknown = true;
+      }
+      return !unknown;
+    }));
+    batch.forEach((p, j) => { if (gone[j]) excludeParticipant(g.id, p, "left", now); });
+  }
+  return true;
+}
+
+// giveaway sắp hết giờ: re-check toàn bộ trước end_time, chạy nền (không giữ tick / lượt quay)
+// sau đó người rời group bị loại qua chat_member (dropLeaver), lúc quay chỉ còn check người vào sau members_checked_at
+let prechecking = false;
+
+async function precheckMembers() {
+  if (prechecking) return;
+  prechecking = true;
+  try {
+    const now = dayjs().unix();
+    const due = db.prepare(`
+      SELECT id, end_time FROM giveaways
+      WHERE ended = 0 AND canceled = 0 AND paused = 0 AND message_id <> 0 AND members_checked_at IS NULL
+        AND end_time > ? AND end_time <= ?
+      ORDER BY end_time ASC
+    `).all(now, now + MEMBER_PRECHECK_LEAD_SECONDS);
+
+    for (const g of due) {
+      if (shuttingDown) break;
+      const startedAt = dayjs().unix();
+      if (await recheckMembers(g, startedAt)) {
+        db.prepare(`UPDATE giveaways SET members_checked_at=? WHERE id=?`).run(startedAt, g.id);
+      }
+    }
+  } finally {
+    prechecking = false;
   }
 }
 
+// member_since giữ nguyên (rời rồi vào lại không thành thành viên mới)
+function onMemberLeft(chatId, userId) {
+  dropLeaver(chatId, userId).catch(err => console.error("DROP_LEAVER_FAIL", chatId, userId, err?.response?.description || err));
+}
+
+// ---------------- Language ----------------
+// per-group / per-user preference (settings: lang_chat_<id>, lang_user_<id>)
+function chatLang(chatId) {
+  const v = getSetting(`lang_chat_${chatId}`);
+  return isLang(v) ? v : DEFAULT_LANG;
+}
+
+function userLang(userId, fallback = DEFAULT_LANG) {
+  const v = getSetting(`lang_user_${userId}`);
+  return isLang(v) ? v : fallback;
+}
+
+// group message -> group lang; DM / callback alert -> user lang (then group lang, then Telegram language_code)
+function ctxLang(ctx) {
+  const inGroup = ctx.chat && ctx.chat.type !== "private";
+  if (inGroup && !ctx.callbackQuery) return chatLang(ctx.chat.id);
+
+  const code = (ctx.from?.language_code || "").slice(0, 2);
+  const fallback = inGroup ? chatLang(ctx.chat.id) : (isLang(code) ? code : DEFAULT_LANG);
+  return userLang(ctx.from?.id, fallback);
+}
+
+// ---------------- Referral ----------------
+function refLink(botUsername, gid, userId) {
+  return `https://t.me/${botUsername}?start=g${gid}_r${userId}`;
+}
+
+function isParticipant(gid, userId) {
+  return !!db.prepare(`SELECT 1 FROM participants WHERE giveaway_id=? AND user_id=?`).get(gid, userId);
+}
+
+// pending referral -> +1 vé cho người mời (tối đa referral_cap), gọi sau khi referee đã tham gia
+// chỉ tính thành viên mới: lần đầu bot thấy referee trong 1 group của giveaway là sự kiện vào group
+// từ lúc giveaway bắt đầu; thành viên cũ (kể cả rời rồi vào lại) -> 'existing', không cộng vé
+function creditReferral(g, refereeId) {
+  const tx = db.transaction(() => {
+    const r = db.prepare(`
+      SELECT referrer_id FROM referrals WHERE giveaway_id=? AND referee_id=? AND status='pending'
+    `).get(g.id, refereeId);
+    if (!r) return null;
+
+    const startedAt = db.prepare(`SELECT COALESCE(start_time, created_at) AS t FROM giveaways WHERE id=?`).get(g.id).t;
+    const isNew = !!db.prepare(`
+      SELECT 1 FROM member_since m JOIN giveaway_chats c ON c.chat_id = m.chat_id AND c.giveaway_id = ?
+      WHERE m.user_id=? AND m.joined_at >= ? AND m.first_seen >= ?
+    `).get(g.id, refereeId, startedAt, startedAt);
+    if (!isNew) {
+      db.prepare(`UPDATE referrals SET status='existing' WHERE giveaway_id=? AND referee_id=?`).run(g.id, refereeId);
+      return { referrerId: r.referrer_id, status: "existing" };
+    }
+
+    const credited = db.prepare(`
+      SELECT COUNT(*) AS c FROM referrals WHERE giveaway_id=? AND referrer_id=? AND status='credited'
+    `).get(g.id, r.referrer_id).c;
+    const status = credited < (g.referral_cap || 0) ? "credited" : "capped";
+
+    db.prepare(`UPDATE referrals SET status=?, credited_at=? WHERE giveaway_id=? AND referee_id=?`)
+      .run(status, dayjs().unix(), g.id, refereeId);
+    if (status === "credited") {
+      db.prepare(`UPDATE participants SET weight=MIN(?, weight + 1) WHERE giveaway_id=? AND user_id=?`)
+        .run(MAX_TICKETS, g.id, r.referrer_id);
+    }
+    return { referrerId: r.referrer_id, status };
+  });
+  return tx();
+}
+
+// ---------------- Member tracking ----------------
+// lần đầu thấy user trong group (tin nhắn / vào group) -> referral chỉ tính người mới vào group,
+// điều kiện "ở trong group >= N giờ"
+const IN_CHAT_STATUSES = ["member", "administrator", "creator"];
+
+// joined = sự kiện vào group (new_chat_members / chat_member) -> ghi cả joined_at.
+// Chỉ giữ mốc sớm nhất: rời group rồi vào lại không thành thành viên mới
+function markMemberSince(chatId, userId, now, joined = false) {
+  db.prepare(`
+    INSERT INTO member_since(chat_id,user_id,first_seen,joined_at) VALUES (?,?,?,?)
+    ON CONFLICT(chat_id,user_id) DO UPDATE SET joined_at = COALESCE(joined_at, excluded.joined_at)
+  `).run(chatId, userId, now, joined ? now : null);
+}
+
+bot.use((ctx, next) => {
+  const chat = ctx.message?.chat;
+  if (chat && chat.type !== "private" && chat.type !== "channel") {
+    const now = dayjs().unix();
+    if (ctx.from && !ctx.from.is_bot) markMemberSince(chat.id, ctx.from.id, now);
+    for (const u of ctx.message.new_chat_members || []) {
+      if (!u.is_bot) markMemberSince(chat.id, u.id, now, true);
+    }
+    const left = ctx.message.left_chat_member;
+    if (left && !left.is_bot) onMemberLeft(chat.id, left.id);
+  }
+  return next();
+});
+
+// cần allowed_updates chứa "chat_member" (xem launch)
+bot.on("chat_member", ctx => {
+  const { chat, new_chat_member: nm, old_chat_member: om } = ctx.chatMember;
+  if (nm.user.is_bot) return;
+  if (isInChat(nm) && !isInChat(om)) markMemberSince(chat.id, nm.user.id, dayjs().unix(), true);
+  else if (!isInChat(nm) && isInChat(om)) onMemberLeft(chat.id, nm.user.id);
+});
+
 function getDefaultGroupId() {
   const v = getSetting("default_group_id");
   return v ? Number(v) : null;
 }
 
+// ---------------- Groups registry ----------------
+function getGroups() {
+  return db.prepare(`SELECT id, chat_id, title FROM groups ORDER BY id ASC`).all();
+}
+
+function groupName(chatId) {
+  const gr = db.prepare(`SELECT id, title FROM groups WHERE chat_id=?`).get(chatId);
+  return gr ? `#${gr.id} ${gr.title || chatId}` : String(chatId);
+}
+
+// "1,3" (id trong /groups) | "all" -> [chat_id]; throws BAD_GROUPS
+function parseGroupSelector(str) {
+  const groups = getGroups();
+  const s = str.trim().toLowerCase();
+  if (s === "all" && groups.length) return groups.map(gr => gr.chat_id);
+
+  const ids = [...new Set(s.split(/\s*,\s*/).map(x => Number(x.replace(/^#/, ""))))];
+  const chatIds = ids.map(id => groups.find(gr => gr.id === id)?.chat_id);
+  if (!ids.length || chatIds.some(c => !c)) throw new Error("BAD_GROUPS");
+  return chatIds;
+}
+
+// nơi giveaway được đăng, group chính trước
+function giveawayChats(gid) {
+  return db.prepare(`
+    SELECT chat_id, message_id, announced FROM giveaway_chats WHERE giveaway_id=? ORDER BY rowid ASC
+  `).all(gid);
+}
+
+// prize tiers (legacy giveaways without rows in prize_tiers = 1 tier)
+function getTiers(g) {
+  const rows = db.prepare(`
+    SELECT position, label, winners FROM prize_tiers WHERE giveaway_id=? ORDER BY position ASC
+  `).all(g.id);
+  return rows.length ? rows : [{ position: 1, label: g.prize, winners: g.winners }];
+}
+
+// frozen ranking of a drawn giveaway (same inputs as the draw)
+function getRanking(g) {
+  const participants = db.prepare(`
+    SELECT user_id, name, weight FROM participants WHERE giveaway_id=? AND joined_at < ?
+  `).all(g.id, g.end_time);
+  return rankParticipants(deriveDrawKey(g.seed, g.participants_hash), g.id, participants);
+}
+
+// giveaway còn sửa được (/edit /extend /pause /resume): chưa quay, chưa hủy, chưa tới giờ quay.
+// Quá end_time thì danh sách đã chốt, kể cả khi đang pause -> chỉ cho /resume (overdue) để quay với danh sách cũ
+function getEditable(gid, { overdue = false } = {}) {
+  const g = db.prepare(`SELECT * FROM giveaways WHERE id=?`).get(gid);
+  if (!g) return { err: "not_found_x" };
+  if (g.canceled || g.ended) return { err: "edit_locked" };
+  if (dayjs().unix() >= g.end_time && !(overdue && g.paused)) return { err: "edit_locked" };
+  return { g };
+}
+
+const WINNER_STATUS_ICONS = { pending: "⏳", claimed: "✅", expired: "⌛", replaced: "🚫" };
+
+const TIER_ICONS = ["🥇", "🥈", "🥉"];
+function tierIcon(position) {
+  return TIER_ICONS[position - 1] || "🏅";
+}
+
+function buildTiersLines(tiers) {
+  return tiers.map(t => `${tierIcon(t.position)} ${t.winners}× ${escHtml(t.label)}\n`).join("");
+}
+
 // Telegram sometimes sends /cmd@BotName
 function getCmd(ctx) {
   const t = (ctx.message?.text || "").trim();
@@ -95,59 +607,120 @@ function getCmd(ctx) {
 // ---------------- Text builders ----------------
 
 // GROUP: giveaway post (NO commit/seed/verify)
-function buildGiveawayTextPublic({ prize, sponsor, winners, end_time }, count) {
+function buildGiveawayTextPublic({ prize, sponsor, winners, end_time, tiers, paused, updated_at }, count, lang = DEFAULT_LANG) {
+  const countdown = countdownParts(end_time);
+  const prizeText = tiers && tiers.length > 1
+    ? `${t(lang, "gw_prizes")}\n${buildTiersLines(tiers)}`
+    : `${t(lang, "gw_content", { prize: escHtml(prize) })}\n`;
+
   return (
-    `🎉 <b>GIVEAWAY</b> 🎉\n\n` +
-    `📌 <b>Nội dung:</b> ${escHtml(prize)}\n` +
-    `🤝 <b>Nhà tài trợ:</b> ${escHtml(sponsor)}\n` +
-    `⏰ <b>Thời gian quay:</b> ${fmtUnix(end_time)}\n` +
-    `🏆 <b>Số người trúng:</b> ${winners}\n` +
-    `👥 <b>Số người tham gia:</b> ${count}\n\n` +
-    `👇 Nhấn nút bên dưới để tham gia!`
+    `${t(lang, "gw_title")}\n\n` +
+    prizeText +
+    `${t(lang, "gw_sponsor", { sponsor: escHtml(sponsor) })}\n` +
+    `${t(lang, "gw_draw_time", { time: fmtUnix(end_time, lang) })}\n` +
+    (paused ? "" : `${t(lang, "gw_countdown", { left: t(lang, countdown.key, countdown.params) })}\n`) +
+    `${t(lang, "gw_winners", { n: winners })}\n` +
+    `${t(lang, "gw_count", { n: count })}\n\n` +
+    t(lang, paused ? "gw_paused" : "gw_cta") +
+    (updated_at ? `\n\n${t(lang, "gw_updated", { time: fmtUnix(updated_at, lang) })}` : "")
   );
 }
 
 // GROUP: winners announce (NO commit/seed/verify)
-function buildWinnersTextPublic(g, winners) {
-  let text = `🎉 <b>CHÚC MỪNG NGƯỜI CHIẾN THẮNG!</b> 🎉\n\n🏆 <b>Danh sách:</b>\n`;
+function buildWinnersTextPublic(g, winners, tiers = getTiers(g), lang = chatLang(g.chat_id)) {
+  let text = `${t(lang, "win_title")}\n\n${t(lang, "win_list")}\n`;
+  const multi = tiers.length > 1;
+  let lastTier = null;
   winners.forEach((w, i) => {
+    const tier = w.tier || 1;
+    if (multi && tier !== lastTier) {
+      const x = tiers.find(tr => tr.position === tier);
+      text += `${tierIcon(tier)} <b>${escHtml(x ? x.label : t(lang, "tier_n", { n: tier }))}</b>\n`;
+      lastTier = tier;
+    }
     text += `${i + 1}. ${escHtml(w.name)} (${w.user_id})\n`;
   });
 
+  const deadline = winners.find(w => w.claim_deadline)?.claim_deadline;
   text +=
-    `\n🎁 <b>Phần thưởng:</b> ${escHtml(g.prize)}\n` +
-    `🤝 <b>Nhà tài trợ:</b> ${escHtml(g.sponsor)}\n\n` +
-    `📩 Vui lòng liên hệ nhà tài trợ để nhận quà.`;
+    (multi ? "\n" : `\n${t(lang, "win_reward", { prize: escHtml(g.prize) })}\n`) +
+    `${t(lang, "gw_sponsor", { sponsor: escHtml(g.sponsor) })}\n\n` +
+    (deadline
+      ? t(lang, "win_claim_before", { time: fmtUnix(deadline, lang) })
+      : t(lang, "win_contact"));
 
   return text;
 }
 
 // GROUP: canceled post (NO commit/seed/verify)
-function buildCanceledTextPublic(g, count) {
+function buildCanceledTextPublic(g, count, lang = chatLang(g.chat_id)) {
   return (
-    `⛔ <b>GIVEAWAY ĐÃ BỊ HỦY</b>\n\n` +
-    `📌 <b>Nội dung:</b> ${escHtml(g.prize)}\n` +
-    `🤝 <b>Nhà tài trợ:</b> ${escHtml(g.sponsor)}\n` +
-    `👥 <b>Đã tham gia:</b> ${count}\n` +
-    `📝 <b>Lý do:</b> ${escHtml(g.cancel_reason || "Không có")}\n`
+    `${t(lang, "cancel_title")}\n\n` +
+    `${t(lang, "gw_content", { prize: escHtml(g.prize) })}\n` +
+    `${t(lang, "gw_sponsor", { sponsor: escHtml(g.sponsor) })}\n` +
+    `${t(lang, "cancel_joined", { n: count })}\n` +
+    `${t(lang, "cancel_reason", { reason: escHtml(g.cancel_reason || t(lang, "none")) })}\n`
   );
 }
 
 // DM: proof only
-function buildProofText(g) {
+function buildProofText(g, lang = DEFAULT_LANG) {
   return (
-    `🔒 <b>PROOF (chỉ DM)</b>\n\n` +
+    `${t(lang, "proof_title")}\n\n` +
     `#${g.id}\n` +
-    `🎁 <b>Phần thưởng:</b> ${escHtml(g.prize)}\n` +
-    `🤝 <b>Nhà tài trợ:</b> ${escHtml(g.sponsor)}\n` +
-    `⏰ <b>Quay lúc:</b> ${fmtUnix(g.end_time)}\n\n` +
+    `${t(lang, "win_reward", { prize: escHtml(g.prize) })}\n` +
+    `${t(lang, "gw_sponsor", { sponsor: escHtml(g.sponsor) })}\n` +
+    `${t(lang, "proof_drawn_at", { time: fmtUnix(g.end_time, lang) })}\n\n` +
     `🔒 <b>Commit:</b> <code>${escHtml(g.seed_hash || "N/A")}</code>\n` +
-    `🔓 <b>Seed:</b> <code>${escHtml(g.ended && !g.canceled ? (g.seed || "N/A") : "Chưa công bố")}</code>\n\n` +
-    `✅ <b>Verify:</b>\n` +
-    `rank = HMAC_SHA256(seed, "&lt;id&gt;:&lt;user_id&gt;"), sort asc, lấy top N.`
+    `🔓 <b>Seed:</b> <code>${escHtml(isDrawn(g) ? (g.seed || "N/A") : t(lang, "proof_not_revealed"))}</code>\n` +
+    `👥 <b>Participants hash:</b> <code>${escHtml(g.participants_hash || t(lang, "proof_not_frozen"))}</code>\n\n` +
+    t(lang, "proof_steps", { id: g.id }) +
+    buildExclusionsText(g, lang)
   );
 }
 
+// DM: public self-audit (/verify) — seed only after the result is announced
+function buildVerifyText(g, userId, lang = DEFAULT_LANG) {
+  let text =
+    `${t(lang, "verify_title", { id: g.id })}\n\n` +
+    `${t(lang, "win_reward", { prize: escHtml(g.prize) })}\n` +
+    `🔒 <b>Commit:</b> <code>${escHtml(g.seed_hash || "N/A")}</code>\n`;
+
+  if (g.canceled) return text + `\n${t(lang, "verify_canceled")}`;
+  if (!g.ended || !g.announced) {
+    return text + t(lang, "verify_seed_pending", { time: fmtUnix(g.end_time, lang) });
+  }
+
+  const ranking = getRanking(g);
+  const totalTickets = ranking.reduce((sum, p) => sum + ticketsOf(p), 0);
+  const ws = db.prepare(`SELECT user_id, status FROM winners WHERE giveaway_id=? ORDER BY rowid ASC`).all(g.id);
+  const cutoff = ws.length ? ranking[ws.length - 1] : null;
+
+  text += `🔓 <b>Seed:</b> <code>${escHtml(g.seed)}</code>\n`;
+  if (g.participants_hash) text += `👥 <b>Participants hash:</b> <code>${escHtml(g.participants_hash)}</code>\n`;
+  text += `${t(lang, "verify_stats", { joined: ranking.length, tickets: totalTickets, won: ws.length })}\n`;
+  if (ws.length > g.winners) text += `${t(lang, "verify_rerolls", { n: ws.length - g.winners })}\n`;
+  text += `${t(lang, "verify_cutoff", { n: ws.length, rank: escHtml(cutoff ? cutoff.rank : "N/A") })}\n\n`;
+
+  const pos = ranking.findIndex(p => p.user_id === userId);
+  if (pos < 0) {
+    text += `${t(lang, "verify_not_joined")}\n`;
+  } else {
+    const w = ws.find(x => x.user_id === userId);
+    const result = t(lang, !w
+      ? "verify_lost"
+      : w.status === "expired" ? "verify_won_expired"
+      : w.status === "replaced" ? "verify_won_replaced"
+      : "verify_won");
+    text += `${t(lang, "verify_your_tickets", { n: ticketsOf(ranking[pos]) })}\n`;
+    text += `${t(lang, "verify_your_rank", { rank: ranking[pos].rank })}\n`;
+    text += `${t(lang, "verify_position", { pos: pos + 1, total: ranking.length, result })}\n`;
+  }
+
+  text += `\n${t(lang, "verify_howto", { id: g.id })}`;
+  return text;
+}
+
 // ---------------- /giveaway parser (support | and ｜) ----------------
 function parseGiveawayArgs(fullText) {
   const raw = fullText
@@ -157,6 +730,14 @@ function parseGiveawayArgs(fullText) {
     .trim();
 
   const parts = raw.split("|");
+
+  // tùy chọn cuối: |groups=1,3 hoặc |groups=all (mặc định: group mặc định)
+  let chatIds = null;
+  const opt = (parts[parts.length - 1] || "").match(/^groups?\s*[=:]\s*(.+)$/i);
+  if (opt) {
+    chatIds = parseGroupSelector(opt[1]);
+    parts.pop();
+  }
   if (parts.length < 4) throw new Error("BAD_FORMAT");
 
   const winnersStr = (parts[0] || "").trim();
@@ -167,276 +748,765 @@ function parseGiveawayArgs(fullText) {
   const winners = Number(winnersStr);
   if (!Number.isFinite(winners) || winners < 1) throw new Error("BAD_WINNERS");
 
-  const end = dayjs(timeStr, "HH:mm DD/MM/YYYY", true).tz(TZ);
-  if (!end.isValid()) throw new Error("BAD_TIME");
+  const { startUnix, endUnix } = parseTimeRange(timeStr);
   if (!prize) throw new Error("BAD_PRIZE");
   if (!sponsor) throw new Error("BAD_SPONSOR");
 
-  return { winners, endUnix: end.unix(), prize, sponsor };
+  return { winners, startUnix, endUnix, prize, sponsor, tiers: parsePrizeTiers(prize, winners), chatIds };
 }
 
-function usageText() {
-  return (
-    "❌ Sai cú pháp\n" +
-    "Dùng:\n" +
-    "/giveaway <số_trúng>|<HH:mm DD/MM/YYYY>|<phần thưởng>|<nhà tài trợ>\n\n" +
-    "Ví dụ:\n" +
-    "/giveaway 3|22:00 20/01/2026|ADMIN CHATGPT BUSINESS 1 THÁNG|@zaaraowo\n\n" +
-    "Hoặc dùng form:\n" +
-    "/newgiveaway"
-  );
+// "<end>" hoặc "<start> - <end>" (HH:mm DD/MM/YYYY), start = null -> đăng ngay
+function parseTimeRange(str) {
+  const parts = str.trim().split(/\s+-\s+/);
+  if (parts.length > 2) throw new Error("BAD_TIME");
+
+  const times = parts.map(s => dayjs(s, "HH:mm DD/MM/YYYY", true).tz(TZ));
+  if (times.some(d => !d.isValid())) throw new Error("BAD_TIME");
+
+  const endUnix = times[times.length - 1].unix();
+  const startUnix = times.length === 2 ? times[0].unix() : null;
+  if (startUnix && startUnix >= endUnix) throw new Error("BAD_RANGE");
+  return { startUnix, endUnix };
+}
+
+// "1x Giải nhất; 3x Giải nhì" -> tiers (tổng phải = winners, winners = null -> lấy tổng); còn lại -> 1 tier = prize
+function parsePrizeTiers(prize, winners) {
+  const segs = prize.split(/\s*;\s*/).filter(Boolean);
+  const matches = segs.map(s => s.match(/^(\d+)\s*[x×]\s*(.+)$/i));
+  if (segs.length < 2 || matches.some(m => !m)) return [{ position: 1, label: prize, winners }];
+
+  const tiers = matches.map((m, i) => ({ position: i + 1, label: m[2].trim(), winners: Number(m[1]) }));
+  const total = tiers.reduce((sum, t) => sum + t.winners, 0);
+  if (tiers.some(t => t.winners < 1) || (winners != null && total !== winners)) throw new Error("BAD_TIERS");
+  return tiers;
+}
+
+function usageText(lang = DEFAULT_LANG) {
+  return t(lang, "usage_giveaway");
 }
 
-// ---------------- Form state (in-memory) ----------------
-const formState = new Map(); // userId -> { step, data, expectingCustomWinners }
-function startForm(userId) {
-  formState.set(userId, { step: 1, data: {}, expectingCustomWinners: false });
+// ---------------- Form state (SQLite, survives restart) ----------------
+const FORM_TTL_SECONDS = Math.max(1, Number(process.env.FORM_TTL_HOURS || 24)) * 3600;
+
+// state = { step, data, expectingCustomWinners, expectingDraftName, draftId }
+function startForm(userId, data = {}, draftId = null) {
+  const st = { step: 1, data, expectingCustomWinners: false, expectingDraftName: false, draftId };
+  st.step = nextFormStep(data);
+  saveForm(userId, st);
+  return st;
+}
+function saveForm(userId, st) {
+  const now = dayjs().unix();
+  db.prepare(`
+    INSERT INTO form_state(user_id,state,updated_at,expires_at) VALUES (?,?,?,?)
+    ON CONFLICT(user_id) DO UPDATE SET state=excluded.state, updated_at=excluded.updated_at, expires_at=excluded.expires_at
+  `).run(userId, JSON.stringify(st), now, now + FORM_TTL_SECONDS);
 }
 function stopForm(userId) {
-  formState.delete(userId);
+  db.prepare(`DELETE FROM form_state WHERE user_id=?`).run(userId);
 }
 function getForm(userId) {
-  return formState.get(userId);
+  const r = db.prepare(`SELECT state, expires_at FROM form_state WHERE user_id=?`).get(userId);
+  if (!r) return null;
+  if (r.expires_at <= dayjs().unix()) {
+    stopForm(userId);
+    return null;
+  }
+  return JSON.parse(r.state);
+}
+
+// first missing field (1..4), 5 = preview
+function nextFormStep(d) {
+  // đổi số trúng làm lệch tổng các hạng -> nhập lại phần thưởng
+  if (d.tiers && d.tiers.length > 1 && d.tiers.reduce((sum, t) => sum + t.winners, 0) !== d.winners) {
+    delete d.prize;
+    delete d.tiers;
+  }
+  if (!d.winners) return 1;
+  if (!d.endUnix) return 2;
+  if (!d.prize) return 3;
+  if (!d.sponsor) return 4;
+  return 5;
+}
+
+function formStepMessage(st, lang = DEFAULT_LANG) {
+  const d = st.data;
+  if (st.step === 1) return [t(lang, "form_step1"), winnersKeyboard(lang)];
+  if (st.step === 2) return [t(lang, "form_step2"), {}];
+  if (st.step === 3) return [t(lang, "form_step3", { n: d.winners }), {}];
+  if (st.step === 4) return [t(lang, "form_step4"), {}];
+  return [buildPreviewText(d, lang), confirmKeyboard(lang)];
 }
 
-function winnersKeyboard() {
+// group đích của form (chọn trong registry), mặc định = group mặc định
+function formTargets(d) {
+  const linked = getGroups().map(gr => gr.chat_id);
+  const picked = (d.groups || []).filter(id => linked.includes(id));
+  return picked.length ? picked : [getDefaultGroupId()].filter(Boolean);
+}
+
+function formGroupsKeyboard(d, lang = DEFAULT_LANG) {
+  const picked = formTargets(d);
+  return Markup.inlineKeyboard([
+    ...getGroups().map(gr => [
+      Markup.button.callback(`${picked.includes(gr.chat_id) ? "✅" : "▫️"} ${groupName(gr.chat_id)}`.slice(0, 60), `fw_g_${gr.id}`)
+    ]),
+    [Markup.button.callback(t(lang, "form_btn_done"), "fw_g_done")]
+  ]);
+}
+
+function replyFormStep(ctx, st, prefix = "") {
+  const [text, kb] = formStepMessage(st, ctxLang(ctx));
+  return ctx.reply(prefix + text, { parse_mode: "HTML", ...kb });
+}
+
+function winnersKeyboard(lang = DEFAULT_LANG) {
   return Markup.inlineKeyboard([
     [Markup.button.callback("1", "fw_w_1"), Markup.button.callback("2", "fw_w_2"), Markup.button.callback("3", "fw_w_3")],
-    [Markup.button.callback("5", "fw_w_5"), Markup.button.callback("10", "fw_w_10"), Markup.button.callback("Nhập khác", "fw_w_custom")],
-    [Markup.button.callback("❌ Hủy form", "fw_abort")]
+    [Markup.button.callback("5", "fw_w_5"), Markup.button.callback("10", "fw_w_10"), Markup.button.callback(t(lang, "form_btn_custom"), "fw_w_custom")],
+    [Markup.button.callback(t(lang, "form_btn_abort"), "fw_abort")]
   ]);
 }
-function confirmKeyboard() {
+function confirmKeyboard(lang = DEFAULT_LANG) {
   return Markup.inlineKeyboard([
-    [Markup.button.callback("✅ Tạo giveaway", "fw_confirm"), Markup.button.callback("❌ Hủy", "fw_abort")]
+    [Markup.button.callback(t(lang, "form_btn_create"), "fw_confirm"), Markup.button.callback(t(lang, "form_btn_save"), "fw_save")],
+    [Markup.button.callback(t(lang, "form_btn_edit_winners"), "fw_edit_1"), Markup.button.callback(t(lang, "form_btn_edit_time"), "fw_edit_2")],
+    [Markup.button.callback(t(lang, "form_btn_edit_prize"), "fw_edit_3"), Markup.button.callback(t(lang, "form_btn_edit_sponsor"), "fw_edit_4")],
+    ...(getGroups().length > 1 ? [[Markup.button.callback(t(lang, "form_btn_groups"), "fw_groups")]] : []),
+    [Markup.button.callback(t(lang, "form_btn_cancel"), "fw_abort")]
   ]);
 }
-function buildPreviewText(d) {
+function buildPreviewText(d, lang = DEFAULT_LANG) {
   return (
-    "🧾 <b>PREVIEW GIVEAWAY</b>\n\n" +
-    `🏆 <b>Số người trúng:</b> ${d.winners}\n` +
-    `⏰ <b>Thời gian quay:</b> ${fmtUnix(d.endUnix)}\n` +
-    `🎁 <b>Phần thưởng:</b> ${escHtml(d.prize)}\n` +
-    `🤝 <b>Nhà tài trợ:</b> ${escHtml(d.sponsor)}\n\n` +
-    "Chọn ✅ để tạo và đăng vào group."
+    `${t(lang, "preview_title")}\n\n` +
+    `${t(lang, "gw_winners", { n: d.winners })}\n` +
+    (d.startUnix ? `${t(lang, "gw_start", { time: fmtUnix(d.startUnix, lang) })}\n` : "") +
+    t(lang, "gw_draw_time", { time: fmtUnix(d.endUnix, lang) }) +
+    (d.endUnix <= dayjs().unix() ? `${t(lang, "preview_past")}\n` : "\n") +
+    (d.tiers && d.tiers.length > 1
+      ? `${t(lang, "gw_prizes")}\n${buildTiersLines(d.tiers)}`
+      : `${t(lang, "preview_reward", { prize: escHtml(d.prize) })}\n`) +
+    `${t(lang, "gw_sponsor", { sponsor: escHtml(d.sponsor) })}\n` +
+    (getGroups().length > 1 ? `${t(lang, "preview_groups", { groups: escHtml(formTargets(d).map(groupName).join(", ")) })}\n` : "") +
+    `\n${t(lang, "preview_hint")}`
   );
 }
 
+// ---------------- Drafts ----------------
+// draft đang sửa đã bị xóa (/drafts) -> bỏ draftId; chưa có tên -> null (caller hỏi tên rồi tạo draft mới)
+function saveDraft(userId, st, name) {
+  const now = dayjs().unix();
+  if (st.draftId) {
+    const r = db.prepare(`UPDATE drafts SET data=?, updated_at=? WHERE id=?`).run(JSON.stringify(st.data), now, st.draftId);
+    if (r.changes) return st.draftId;
+    st.draftId = null;
+  }
+  if (!name) return null;
+  return db.prepare(`
+    INSERT INTO drafts(owner_id,name,data,created_at,updated_at) VALUES (?,?,?,?,?)
+  `).run(userId, name, JSON.stringify(st.data), now, now).lastInsertRowid;
+}
+
+function draftsKeyboard(rows) {
+  return Markup.inlineKeyboard(rows.map(r => [
+    Markup.button.callback(`▶️ #${r.id} ${r.name}`.slice(0, 60), `fw_resume_${r.id}`),
+    Markup.button.callback("🗑", `fw_deldraft_${r.id}`)
+  ]));
+}
+
 // ---------------- basic commands ----------------
-bot.start(ctx => ctx.reply(`Welcome ${START_LINK}`.trim() || "Welcome!"));
+bot.start(async ctx => {
+  const lang = ctxLang(ctx);
+
+  // deep link: /start c<id> (nhận quà)
+  const c = (ctx.payload || "").match(/^c(\d+)$/);
+  if (c) return replyClaimPrompt(ctx, Number(c[1]));
+
+  // deep link: /start v<id> (captcha / câu hỏi trước khi tham gia)
+  const v = (ctx.payload || "").match(/^v(\d+)$/);
+  if (v) return continueEntryVerify(ctx, Number(v[1]));
+
+  // deep link: /start g<id>_r<referrer_id>
+  const m = (ctx.payload || "").match(/^g(\d+)_r(\d+)$/);
+  if (!m) return ctx.reply(`${t(lang, "welcome")} ${START_LINK}`.trim());
+
+  const gid = Number(m[1]);
+  const referrerId = Number(m[2]);
+  const g = db.prepare(`SELECT * FROM giveaways WHERE id=?`).get(gid);
+  if (!g || !g.message_id || g.canceled || g.ended || dayjs().unix() >= g.end_time) {
+    return ctx.reply(t(lang, "ref_closed"));
+  }
+
+  if (isParticipant(gid, ctx.from.id)) return ctx.reply(t(lang, "ref_already_joined"));
+
+  let note = "";
+  if (referrerId === ctx.from.id) {
+    note = t(lang, "ref_self");
+  } else if (isParticipant(gid, referrerId)) {
+    db.prepare(`
+      INSERT OR IGNORE INTO referrals(giveaway_id,referee_id,referrer_id,created_at) VALUES (?,?,?,?)
+    `).run(gid, ctx.from.id, referrerId, dayjs().unix());
+  }
+
+  const count = db.prepare(`SELECT COUNT(*) AS c FROM participants WHERE giveaway_id=?`).get(gid).c;
+  return ctx.reply(note + buildGiveawayTextPublic({ ...g, tiers: getTiers(g) }, count, lang), {
+    parse_mode: "HTML",
+    disable_web_page_preview: true,
+    ...Markup.inlineKeyboard([Markup.button.callback(t(lang, "btn_join"), `join_${gid}`)])
+  });
+});
 
 // set group default (run in group)
 bot.command("setgroup", ctx => {
-  if (!isAdmin(ctx.from.id)) return;
+  if (!can(ctx.from.id, "settings")) return;
 
+  const lang = ctxLang(ctx);
   if (ctx.chat.type === "private") {
-    return ctx.reply("Vào group muốn bot đăng giveaway và gõ: /setgroup");
+    return ctx.reply(t(lang, "setgroup_hint"));
   }
 
+  db.prepare(`
+    INSERT INTO groups(chat_id,title,added_by,created_at) VALUES (?,?,?,?)
+    ON CONFLICT(chat_id) DO UPDATE SET title=excluded.title
+  `).run(ctx.chat.id, ctx.chat.title || null, ctx.from.id, dayjs().unix());
   setSetting("default_group_id", ctx.chat.id);
-  ctx.reply(`✅ Đã set group mặc định: <code>${ctx.chat.id}</code>`, { parse_mode: "HTML" });
+  ctx.reply(t(lang, "setgroup_done", { id: ctx.chat.id, name: escHtml(groupName(ctx.chat.id)) }), { parse_mode: "HTML" });
 });
 
 bot.command("group", ctx => {
-  if (!isAdmin(ctx.from.id)) return;
+  if (!can(ctx.from.id, "settings")) return;
+  const lang = ctxLang(ctx);
   const gid = getDefaultGroupId();
   ctx.reply(
-    gid ? `📌 Group mặc định: <code>${gid}</code>` : "⚠️ Chưa set group. Vào group và gõ /setgroup",
+    gid ? t(lang, "group_current", { id: gid, name: escHtml(groupName(gid)) }) : t(lang, "group_unset"),
+    { parse_mode: "HTML" }
+  );
+});
+
+bot.command("groups", ctx => {
+  if (!can(ctx.from.id, "settings")) return;
+  const lang = ctxLang(ctx);
+  const groups = getGroups();
+  if (!groups.length) return ctx.reply(t(lang, "group_unset"));
+
+  const def = getDefaultGroupId();
+  let text = `${t(lang, "groups_title")}\n\n`;
+  for (const gr of groups) {
+    text += `<b>#${gr.id}</b> ${escHtml(gr.title || "-")} (<code>${gr.chat_id}</code>)${gr.chat_id === def ? " ⭐" : ""}\n`;
+  }
+  text += `\n${t(lang, "groups_hint")}`;
+  return ctx.reply(text, { parse_mode: "HTML" });
+});
+
+bot.command("unlinkgroup", ctx => {
+  if (!can(ctx.from.id, "settings")) return;
+  const lang = ctxLang(ctx);
+  const id = Number(((ctx.message.text || "").trim().split(/\s+/)[1] || "").replace(/^#/, ""));
+  if (!id) return ctx.reply(t(lang, "usage", { usage: "/unlinkgroup <id>" }));
+
+  const gr = db.prepare(`SELECT chat_id FROM groups WHERE id=?`).get(id);
+  if (!gr) return ctx.reply(t(lang, "group_not_found"));
+
+  db.prepare(`DELETE FROM groups WHERE id=?`).run(id);
+  // gỡ group mặc định -> group đã link còn lại đầu tiên
+  if (getDefaultGroupId() === gr.chat_id) setSetting("default_group_id", getGroups()[0]?.chat_id ?? "");
+  return ctx.reply(t(lang, "group_unlinked", { id, chat: gr.chat_id }), { parse_mode: "HTML" });
+});
+
+// /lang [code]: group -> ngôn ngữ của group (admin bot / admin group), DM -> ngôn ngữ của user
+// audit log chỉ ghi khi đổi ngôn ngữ của group
+bot.command("lang", async ctx => {
+  const code = (ctx.message.text || "").trim().split(/\s+/)[1]?.toLowerCase();
+  const inGroup = ctx.chat.type !== "private";
+  const list = LANGS.map(l => `<code>/lang ${l}</code> ${escHtml(t(l, "lang_name"))}`).join(", ");
+  ctx.state.auditSkip = true;
+
+  if (!code) {
+    const lang = ctxLang(ctx);
+    return ctx.reply(t(lang, "lang_current", { name: escHtml(t(lang, "lang_name")), code: lang, list }), { parse_mode: "HTML" });
+  }
+  if (!isLang(code)) return ctx.reply(t(ctxLang(ctx), "lang_bad", { list }), { parse_mode: "HTML" });
+
+  if (!inGroup) {
+    setSetting(`lang_user_${ctx.from.id}`, code);
+    return ctx.reply(t(code, "lang_set_user", { name: escHtml(t(code, "lang_name")) }), { parse_mode: "HTML" });
+  }
+
+  if (!can(ctx.from.id, "settings") && !(await isGroupAdmin(ctx, ctx.chat.id, ctx.from.id))) {
+    return ctx.reply(t(ctxLang(ctx), "lang_group_admin_only"));
+  }
+  ctx.state.auditSkip = false;
+  setSetting(`lang_chat_${ctx.chat.id}`, code);
+  return ctx.reply(t(code, "lang_set_chat", { name: escHtml(t(code, "lang_name")) }), { parse_mode: "HTML" });
+});
+
+// ---------------- Roles (owner only) ----------------
+bot.command("admins", ctx => {
+  if (!can(ctx.from.id, "roles")) return;
+  const lang = ctxLang(ctx);
+
+  const rows = db.prepare(`SELECT user_id, role, added_by, created_at FROM roles ORDER BY created_at ASC`).all();
+  let text = `${t(lang, "admins_title")}\n\n`;
+  for (const id of ADMINS) text += `${ROLE_ICONS.owner} <code>${id}</code> — ${t(lang, "role_owner")} (ADMIN_IDS)\n`;
+  for (const role of ROLES) {
+    for (const r of rows.filter(r => r.role === role)) {
+      text += `${ROLE_ICONS[role]} <code>${r.user_id}</code> — ${t(lang, `role_${role}`)}\n`;
+      text += `   ${t(lang, "admins_added_by", { user: r.added_by, time: fmtUnix(r.created_at, lang) })}\n`;
+    }
+  }
+  text += `\n${t(lang, GROUP_ADMINS ? "admins_group_on" : "admins_group_off")}`;
+  return ctx.reply(text, { parse_mode: "HTML" });
+});
+
+bot.command(["addadmin", "removeadmin", "setrole"], ctx => {
+  if (!can(ctx.from.id, "roles")) return;
+  const lang = ctxLang(ctx);
+  const cmd = getCmd(ctx);
+  const parts = (ctx.message.text || "").trim().split(/\s+/);
+  const userId = Number((parts[1] || "").trim());
+
+  const role = cmd === "/addadmin" ? "admin"
+    : cmd === "/setrole" ? (parts[2] || "").toLowerCase()
+    : null;
+  if (!Number.isInteger(userId) || userId <= 0 || (cmd === "/setrole" && !ROLES.includes(role))) {
+    return ctx.reply(t(lang, `usage_${cmd.slice(1)}`));
+  }
+
+  const err = changeRole(ctx.from.id, userId, role);
+  if (err) return ctx.reply(t(lang, err, { user: userId }));
+  return ctx.reply(
+    role ? t(lang, "role_set", { user: userId, role: t(lang, `role_${role}`) }) : t(lang, "role_removed", { user: userId }),
     { parse_mode: "HTML" }
   );
 });
 
 // form create in DM
-bot.command("newgiveaway", ctx => {
-  if (!isAdmin(ctx.from.id)) return;
-  if (ctx.chat.type !== "private") return ctx.reply("ℹ️ Dùng /newgiveaway trong chat riêng với bot.");
+bot.command("newgiveaway", async ctx => {
+  if (!(await canCreate(ctx))) return;
+  const lang = ctxLang(ctx);
+  if (ctx.chat.type !== "private") return ctx.reply(t(lang, "dm_only", { cmd: "/newgiveaway" }));
 
   const targetGroupId = getDefaultGroupId();
-  if (!targetGroupId) return ctx.reply("⚠️ Chưa set group. Vào group gõ /setgroup");
+  if (!targetGroupId) return ctx.reply(t(lang, "no_group"));
 
-  startForm(ctx.from.id);
-  ctx.reply(
-    "🧾 <b>Tạo Giveaway (Form)</b>\n\nBước 1/5: Chọn <b>số người trúng</b>",
-    { parse_mode: "HTML", ...winnersKeyboard() }
-  );
+  const st = startForm(ctx.from.id);
+  return replyFormStep(ctx, st);
 });
 
 bot.command("abort", ctx => {
-  if (!isAdmin(ctx.from.id)) return;
+  if (!getRole(ctx.from.id) && !getForm(ctx.from.id)) return;
   stopForm(ctx.from.id);
-  ctx.reply("✅ Đã hủy form.");
+  ctx.reply(t(ctxLang(ctx), "form_aborted"));
+});
+
+// /audit [id] [page] | /audit verify (DM)
+bot.command("audit", ctx => {
+  if (!can(ctx.from.id, "settings")) return;
+  const lang = ctxLang(ctx);
+  if (ctx.chat.type !== "private") return ctx.reply(t(lang, "dm_only", { cmd: "/audit" }));
+
+  const parts = (ctx.message.text || "").trim().split(/\s+/);
+  if ((parts[1] || "").toLowerCase() === "verify") {
+    const broken = verifyAuditChain();
+    const n = db.prepare(`SELECT COUNT(*) AS c FROM audit_log`).get().c;
+    return ctx.reply(broken ? t(lang, "audit_broken", { id: broken }) : t(lang, "audit_ok", { n }));
+  }
+
+  const gid = Number(parts[1] || 0);
+  const page = Math.max(0, Number(parts[2] || 1) - 1);
+  if (!Number.isInteger(gid) || gid < 0 || !Number.isInteger(page)) return ctx.reply(t(lang, "usage_audit"));
+
+  const { text, extra } = buildAuditPage(gid, page, lang);
+  return ctx.reply(text, extra);
+});
+
+bot.action(/^audit_(\d+)_(\d+)$/, async ctx => {
+  if (!can(ctx.from.id, "settings")) return ctx.answerCbQuery();
+  const { text, extra } = buildAuditPage(Number(ctx.match[1]), Number(ctx.match[2]), ctxLang(ctx));
+  try { await ctx.editMessageText(text, extra); } catch {}
+  return ctx.answerCbQuery();
+});
+
+bot.command("drafts", async ctx => {
+  if (!(await canCreate(ctx))) return;
+  const lang = ctxLang(ctx);
+  if (ctx.chat.type !== "private") return ctx.reply(t(lang, "dm_only", { cmd: "/drafts" }));
+
+  // owner/admin thấy mọi draft, còn lại chỉ draft của mình
+  const all = can(ctx.from.id, "manage");
+  const rows = db.prepare(`
+    SELECT id, owner_id, name, data, updated_at FROM drafts
+    ${all ? "" : "WHERE owner_id=?"}
+    ORDER BY updated_at DESC LIMIT 20
+  `).all(...(all ? [] : [ctx.from.id]));
+  if (!rows.length) return ctx.reply(t(lang, "drafts_empty"));
+
+  let text = `${t(lang, "drafts_title")}\n\n`;
+  for (const r of rows) {
+    const d = JSON.parse(r.data);
+    text += `#${r.id} <b>${escHtml(r.name)}</b> — ${escHtml(d.prize || t(lang, "drafts_no_prize"))}\n`;
+    text += `   👤 ${r.owner_id} | 🕒 ${fmtUnix(r.updated_at, lang)}\n`;
+  }
+  return ctx.reply(text, { parse_mode: "HTML", ...draftsKeyboard(rows) });
 });
 
 // form callbacks
 bot.action(/^fw_w_(\d+)$/, async ctx => {
+  const lang = ctxLang(ctx);
   const st = getForm(ctx.from.id);
-  if (!st) return ctx.answerCbQuery("Form đã hết hạn.", { show_alert: true });
+  if (!st) return ctx.answerCbQuery(t(lang, "form_expired"), { show_alert: true });
 
   st.data.winners = Number(ctx.match[1]);
-  st.step = 2;
   st.expectingCustomWinners = false;
+  st.step = nextFormStep(st.data);
+  saveForm(ctx.from.id, st);
 
-  await ctx.editMessageText(
-    `Bước 2/5: Nhập <b>thời gian quay</b> theo format:\n<code>HH:mm DD/MM/YYYY</code>\nVí dụ: <code>22:00 20/01/2026</code>\n\nGõ /abort để hủy.`,
-    { parse_mode: "HTML" }
-  );
-  ctx.answerCbQuery("OK");
+  const [text, kb] = formStepMessage(st, lang);
+  await ctx.editMessageText(text, { parse_mode: "HTML", ...kb });
+  ctx.answerCbQuery(t(lang, "form_cb_ok"));
 });
 
 bot.action("fw_w_custom", async ctx => {
+  const lang = ctxLang(ctx);
   const st = getForm(ctx.from.id);
-  if (!st) return ctx.answerCbQuery("Form đã hết hạn.", { show_alert: true });
+  if (!st) return ctx.answerCbQuery(t(lang, "form_expired"), { show_alert: true });
 
   st.expectingCustomWinners = true;
-  await ctx.editMessageText(
-    "Nhập <b>số người trúng</b> (ví dụ: 7).\n\nGõ /abort để hủy.",
-    { parse_mode: "HTML" }
-  );
-  ctx.answerCbQuery("Nhập số");
-});
-
-bot.action("fw_abort", async ctx => {
-  stopForm(ctx.from.id);
-  try { await ctx.editMessageText("✅ Đã hủy form."); } catch {}
-  ctx.answerCbQuery("Đã hủy");
+  saveForm(ctx.from.id, st);
+  await ctx.editMessageText(t(lang, "form_custom_prompt"), { parse_mode: "HTML" });
+  ctx.answerCbQuery(t(lang, "form_cb_enter_number"));
 });
 
-bot.action("fw_confirm", async ctx => {
+bot.action(/^fw_edit_([1-4])$/, async ctx => {
+  const lang = ctxLang(ctx);
   const st = getForm(ctx.from.id);
-  if (!st) return ctx.answerCbQuery("Form đã hết hạn.", { show_alert: true });
+  if (!st) return ctx.answerCbQuery(t(lang, "form_expired"), { show_alert: true });
 
-  const targetGroupId = getDefaultGroupId();
-  if (!targetGroupId) {
-    stopForm(ctx.from.id);
-    return ctx.answerCbQuery("Chưa set group (/setgroup).", { show_alert: true });
-  }
+  st.step = Number(ctx.match[1]);
+  st.expectingCustomWinners = false;
+  saveForm(ctx.from.id, st);
 
-  const { winners, endUnix, prize, sponsor } = st.data;
-  if (!winners || !endUnix || !prize || !sponsor) {
-    return ctx.answerCbQuery("Thiếu dữ liệu form.", { show_alert: true });
-  }
+  const [text, kb] = formStepMessage(st, lang);
+  await ctx.editMessageText(text, { parse_mode: "HTML", ...kb });
+  ctx.answerCbQuery(t(lang, "form_cb_edit"));
+});
 
-  stopForm(ctx.from.id);
-  await ctx.editMessageText("⏳ Đang tạo giveaway...");
-  await createGiveawayAndPost(ctx, targetGroupId, winners, endUnix, prize, sponsor);
-  ctx.answerCbQuery("Đã tạo");
+bot.action("fw_groups", async ctx => {
+  const lang = ctxLang(ctx);
+  const st = getForm(ctx.from.id);
+  if (!st) return ctx.answerCbQuery(t(lang, "form_expired"), { show_alert: true });
+
+  await ctx.editMessageText(t(lang, "form_groups_prompt"), { parse_mode: "HTML", ...formGroupsKeyboard(st.data, lang) });
+  ctx.answerCbQuery();
+});
+
+bot.action(/^fw_g_(\d+)$/, async ctx => {
+  const lang = ctxLang(ctx);
+  const st = getForm(ctx.from.id);
+  if (!st) return ctx.answerCbQuery(t(lang, "form_expired"), { show_alert: true });
+
+  const gr = db.prepare(`SELECT chat_id FROM groups WHERE id=?`).get(Number(ctx.match[1]));
+  if (!gr) return ctx.answerCbQuery(t(lang, "group_not_found"), { show_alert: true });
+
+  const picked = formTargets(st.data);
+  const groups = picked.includes(gr.chat_id) ? picked.filter(id => id !== gr.chat_id) : [...picked, gr.chat_id];
+  if (!groups.length) return ctx.answerCbQuery(t(lang, "form_groups_min"), { show_alert: true });
+
+  st.data.groups = groups;
+  saveForm(ctx.from.id, st);
+  try { await ctx.editMessageText(t(lang, "form_groups_prompt"), { parse_mode: "HTML", ...formGroupsKeyboard(st.data, lang) }); } catch {}
+  ctx.answerCbQuery();
+});
+
+bot.action("fw_g_done", async ctx => {
+  const lang = ctxLang(ctx);
+  const st = getForm(ctx.from.id);
+  if (!st) return ctx.answerCbQuery(t(lang, "form_expired"), { show_alert: true });
+
+  const [text, kb] = formStepMessage(st, lang);
+  await ctx.editMessageText(text, { parse_mode: "HTML", ...kb });
+  ctx.answerCbQuery();
+});
+
+bot.action("fw_save", async ctx => {
+  const lang = ctxLang(ctx);
+  const st = getForm(ctx.from.id);
+  if (!st) return ctx.answerCbQuery(t(lang, "form_expired"), { show_alert: true });
+
+  const id = st.draftId ? saveDraft(ctx.from.id, st, null) : null;
+  if (id) {
+    stopForm(ctx.from.id);
+    try { await ctx.editMessageText(t(lang, "draft_saved", { id })); } catch {}
+    return ctx.answerCbQuery(t(lang, "form_cb_saved"));
+  }
+
+  st.expectingDraftName = true;
+  saveForm(ctx.from.id, st);
+  await ctx.reply(t(lang, "form_draft_name_prompt"), { parse_mode: "HTML" });
+  ctx.answerCbQuery(t(lang, "form_cb_enter_name"));
+});
+
+// draft của người khác: chỉ owner/admin
+function getOwnDraft(userId, id) {
+  const draft = db.prepare(`SELECT id, owner_id, name, data FROM drafts WHERE id=?`).get(id);
+  return draft && (draft.owner_id === userId || can(userId, "manage")) ? draft : null;
+}
+
+bot.action(/^fw_resume_(\d+)$/, async ctx => {
+  if (!(await canCreate(ctx))) return ctx.answerCbQuery();
+  const lang = ctxLang(ctx);
+  const draft = getOwnDraft(ctx.from.id, Number(ctx.match[1]));
+  if (!draft) return ctx.answerCbQuery(t(lang, "draft_not_found"), { show_alert: true });
+
+  const st = startForm(ctx.from.id, JSON.parse(draft.data), draft.id);
+  ctx.answerCbQuery(t(lang, "draft_opened", { id: draft.id }));
+  return replyFormStep(ctx, st, t(lang, "draft_header", { id: draft.id, name: escHtml(draft.name) }));
+});
+
+bot.action(/^fw_deldraft_(\d+)$/, async ctx => {
+  if (!(await canCreate(ctx))) return ctx.answerCbQuery();
+  const draft = getOwnDraft(ctx.from.id, Number(ctx.match[1]));
+  if (draft) db.prepare(`DELETE FROM drafts WHERE id=?`).run(draft.id);
+  ctx.answerCbQuery(t(ctxLang(ctx), draft ? "draft_deleted" : "draft_not_found"));
+});
+
+bot.action("fw_abort", async ctx => {
+  const lang = ctxLang(ctx);
+  stopForm(ctx.from.id);
+  try { await ctx.editMessageText(t(lang, "form_aborted")); } catch {}
+  ctx.answerCbQuery(t(lang, "form_cb_aborted"));
+});
+
+bot.action("fw_confirm", async ctx => {
+  const lang = ctxLang(ctx);
+  const st = getForm(ctx.from.id);
+  if (!st) return ctx.answerCbQuery(t(lang, "form_expired"), { show_alert: true });
+
+  const targets = formTargets(st.data);
+  if (!targets.length) {
+    stopForm(ctx.from.id);
+    return ctx.answerCbQuery(t(lang, "form_no_group"), { show_alert: true });
+  }
+
+  if (!(await canCreate(ctx, targets))) {
+    stopForm(ctx.from.id);
+    return ctx.answerCbQuery(t(lang, "no_permission"), { show_alert: true });
+  }
+
+  const { winners, startUnix, endUnix, prize, sponsor, tiers } = st.data;
+  if (!winners || !endUnix || !prize || !sponsor) {
+    return ctx.answerCbQuery(t(lang, "form_missing"), { show_alert: true });
+  }
+  if (endUnix <= dayjs().unix()) {
+    return ctx.answerCbQuery(t(lang, "form_time_past"), { show_alert: true });
+  }
+
+  stopForm(ctx.from.id);
+  await ctx.editMessageText(t(lang, "form_creating"));
+  const gid = await createGiveawayAndPost(ctx, targets, winners, endUnix, prize, sponsor, tiers, startUnix);
+  if (gid && st.draftId) db.prepare(`DELETE FROM drafts WHERE id=?`).run(st.draftId);
+  audit(ctx.from.id, "form_confirm", gid, JSON.stringify({ winners, startUnix, endUnix, prize, sponsor, groups: targets, draftId: st.draftId }), gid ? "ok" : "failed");
+  ctx.answerCbQuery(t(lang, "form_cb_created"));
 });
 
 // quick create (DM)
 bot.command("giveaway", async ctx => {
-  if (!isAdmin(ctx.from.id)) return;
-  if (ctx.chat.type !== "private") return ctx.reply("ℹ️ Tạo giveaway bằng DM hoặc dùng /newgiveaway.");
-
-  const targetGroupId = getDefaultGroupId();
-  if (!targetGroupId) return ctx.reply("⚠️ Chưa set group. Vào group gõ /setgroup");
+  if (!(await canCreate(ctx))) return;
+  const lang = ctxLang(ctx);
+  if (ctx.chat.type !== "private") return ctx.reply(t(lang, "giveaway_dm_only"));
 
   let args;
   try { args = parseGiveawayArgs(ctx.message.text); }
-  catch { return ctx.reply(usageText()); }
+  catch (err) { return ctx.reply(err.message === "BAD_GROUPS" ? t(lang, "groups_bad") : usageText(lang)); }
 
-  await createGiveawayAndPost(ctx, targetGroupId, args.winners, args.endUnix, args.prize, args.sponsor);
+  const targets = args.chatIds || [getDefaultGroupId()].filter(Boolean);
+  if (!targets.length) return ctx.reply(t(lang, "no_group"));
+  if (!(await canCreate(ctx, targets))) return ctx.reply(t(lang, "no_permission"));
+
+  ctx.state.auditGiveawayId = await createGiveawayAndPost(ctx, targets, args.winners, args.endUnix, args.prize, args.sponsor, args.tiers, args.startUnix);
 });
 
 // form text input (DM)
 bot.on("text", async (ctx, next) => {
+  if (ctx.chat.type !== "private") return next?.();
   const st = getForm(ctx.from?.id);
   if (!st) return next?.();
-  if (ctx.chat.type !== "private") return next?.();
-  if (!isAdmin(ctx.from.id)) return next?.();
 
   const text = (ctx.message.text || "").trim();
   if (!text || text.startsWith("/")) return next?.();
+  const lang = ctxLang(ctx);
+
+  if (st.expectingDraftName) {
+    if (text.length < 2) return ctx.reply(t(lang, "form_draft_name_short"));
+    const id = saveDraft(ctx.from.id, st, text.slice(0, 60));
+    stopForm(ctx.from.id);
+    return ctx.reply(t(lang, "draft_saved_named", { id, name: text.slice(0, 60) }));
+  }
 
   if (st.expectingCustomWinners) {
     const n = Number(text);
-    if (!Number.isFinite(n) || n < 1 || n > 1000) return ctx.reply("❌ Số không hợp lệ. Nhập số từ 1 đến 1000.");
+    if (!Number.isFinite(n) || n < 1 || n > 1000) return ctx.reply(t(lang, "form_bad_number"));
     st.data.winners = n;
     st.expectingCustomWinners = false;
-    st.step = 2;
-    return ctx.reply(
-      `✅ Số người trúng: <b>${n}</b>\n\nBước 2/5: Nhập <b>thời gian quay</b> (HH:mm DD/MM/YYYY)\nVí dụ: <code>22:00 20/01/2026</code>`,
-      { parse_mode: "HTML" }
-    );
+    st.step = nextFormStep(st.data);
+    saveForm(ctx.from.id, st);
+    return replyFormStep(ctx, st, t(lang, "form_winners_set", { n }));
   }
 
   if (st.step === 2) {
-    const end = dayjs(text, "HH:mm DD/MM/YYYY", true).tz(TZ);
-    if (!end.isValid()) return ctx.reply("❌ Sai format. Ví dụ: 22:00 20/01/2026");
-    if (end.unix() <= dayjs().unix()) return ctx.reply("❌ Thời gian phải ở tương lai.");
-
-    st.data.endUnix = end.unix();
-    st.step = 3;
-    return ctx.reply("Bước 3/5: Nhập <b>phần thưởng</b>", { parse_mode: "HTML" });
-  }
-
-  if (st.step === 3) {
-    if (text.length < 2) return ctx.reply("❌ Phần thưởng quá ngắn.");
+    let range;
+    try { range = parseTimeRange(text); }
+    catch (err) { return ctx.reply(t(lang, err.message === "BAD_RANGE" ? "form_bad_range" : "form_bad_time")); }
+    if (range.endUnix <= dayjs().unix()) return ctx.reply(t(lang, "form_time_future"));
+
+    st.data.endUnix = range.endUnix;
+    st.data.startUnix = range.startUnix;
+  } else if (st.step === 3) {
+    if (text.length < 2) return ctx.reply(t(lang, "form_prize_short"));
+    try { st.data.tiers = parsePrizeTiers(text, st.data.winners); }
+    catch { return ctx.reply(t(lang, "form_bad_tiers", { n: st.data.winners })); }
     st.data.prize = text;
-    st.step = 4;
-    return ctx.reply("Bước 4/5: Nhập <b>nhà tài trợ</b> (ví dụ: @zaaraowo)", { parse_mode: "HTML" });
-  }
-
-  if (st.step === 4) {
-    if (text.length < 2) return ctx.reply("❌ Nhà tài trợ quá ngắn.");
+  } else if (st.step === 4) {
+    if (text.length < 2) return ctx.reply(t(lang, "form_sponsor_short"));
     st.data.sponsor = text;
-    st.step = 5;
-    return ctx.reply(buildPreviewText(st.data), { parse_mode: "HTML", ...confirmKeyboard() });
+  } else {
+    return next?.();
   }
 
-  return next?.();
+  st.step = nextFormStep(st.data);
+  saveForm(ctx.from.id, st);
+  return replyFormStep(ctx, st);
 });
 
+// lệnh admin dạng "/cmd <giveaway id> ..." (quyền theo từng giveaway)
+const GIVEAWAY_CMDS = new Set([
+  "/ginfo", "/proof", "/cancel", "/bonus", "/bonusrule", "/refcap", "/referrals", "/reroll",
+  "/edit", "/extend", "/pause", "/resume", "/announce", "/require", "/export"
+]);
+// đổi trực tiếp ai thắng (vé bonus cho 1 người, loại winner): chỉ owner / admin, kể cả với giveaway sponsor tự tạo
+const OUTCOME_CMDS = new Set(["/bonus", "/reroll"]);
+
 // ---------------- COMMAND ROUTER (/help /history /ginfo /cancel /proof /announce) ----------------
 bot.on("text", async (ctx, next) => {
   const cmd = getCmd(ctx);
   if (!cmd.startsWith("/")) return next?.();
+  const lang = ctxLang(ctx);
 
   // /help for everyone
   if (cmd === "/help") {
-    const isAdm = isAdmin(ctx.from.id);
-
-    let text = `📌 <b>BOT GIVEAWAY - HELP</b>\n\n`;
-    text += `👤 <b>User:</b>\n`;
-    text += `• <code>/start</code> - Bắt đầu\n`;
-    text += `• Tham gia giveaway: bấm nút 🎉 Tham gia trong group\n\n`;
-
-    if (isAdm) {
-      text += `🛠️ <b>Admin (DM bot):</b>\n`;
-      text += `• <code>/newgiveaway</code> - Tạo giveaway bằng form\n`;
-      text += `• <code>/giveaway &lt;winners&gt;|&lt;HH:mm DD/MM/YYYY&gt;|&lt;prize&gt;|&lt;sponsor&gt;</code> - Tạo nhanh\n`;
-      text += `• <code>/proof &lt;id&gt;</code> - Xem Commit/Seed/Verify (chỉ DM)\n`;
-      text += `• <code>/announce &lt;id&gt;</code> - (Dự phòng) gửi kết quả vào nhóm\n\n`;
-
-      text += `🛠️ <b>Admin (Group hoặc DM):</b>\n`;
-      text += `• <code>/setgroup</code> - Set group mặc định\n`;
-      text += `• <code>/group</code> - Xem group mặc định\n`;
-      text += `• <code>/history</code> - 10 giveaway gần nhất\n`;
-      text += `• <code>/ginfo &lt;id&gt;</code> - Info + winners (Proof chỉ hiện trong DM)\n`;
-      text += `• <code>/cancel &lt;id&gt; [lý do]</code> - Hủy giveaway\n`;
+    const role = getRole(ctx.from.id);
+
+    let text = `${t(lang, "help_title")}\n\n`;
+    text += `${t(lang, "help_user")}\n`;
+
+    if (role) {
+      text += `${t(lang, "help_admin_dm")}\n`;
+      text += t(lang, "help_admin_any");
+      if (can(ctx.from.id, "roles")) text += `\n${t(lang, "help_owner")}`;
     } else {
-      text += `🔒 Một số lệnh chỉ dành cho admin.`;
+      text += t(lang, "help_admin_only");
     }
 
     return ctx.reply(text, { parse_mode: "HTML" });
   }
 
-  if (!isAdmin(ctx.from.id)) return next?.();
+  // /verify for everyone (DM only)
+  if (cmd === "/verify") {
+    if (ctx.chat.type !== "private") return ctx.reply(t(lang, "dm_only", { cmd: "/verify" }));
+
+    const parts = (ctx.message.text || "").trim().split(/\s+/);
+    const gid = Number((parts[1] || "").trim());
+    if (!gid) return ctx.reply(t(lang, "usage", { usage: "/verify <id>" }));
+
+    const g = db.prepare(`SELECT * FROM giveaways WHERE id=?`).get(gid);
+    if (!g) return ctx.reply(t(lang, "not_found"));
+
+    return ctx.reply(buildVerifyText(g, ctx.from.id, lang), { parse_mode: "HTML" });
+  }
+
+  // /ref for everyone (DM only)
+  if (cmd === "/ref") {
+    if (ctx.chat.type !== "private") return ctx.reply(t(lang, "dm_only", { cmd: "/ref" }));
+
+    const parts = (ctx.message.text || "").trim().split(/\s+/);
+    const gid = Number((parts[1] || "").trim());
+    if (!gid) return ctx.reply(t(lang, "usage", { usage: "/ref <id>" }));
+
+    const g = db.prepare(`SELECT id, ended, canceled, end_time, referral_cap FROM giveaways WHERE id=?`).get(gid);
+    if (!g) return ctx.reply(t(lang, "not_found"));
+    if (g.canceled || g.ended || dayjs().unix() >= g.end_time) return ctx.reply(t(lang, "ref_gw_closed"));
+    if (!isParticipant(gid, ctx.from.id)) return ctx.reply(t(lang, "ref_join_first"));
+
+    const credited = db.prepare(`
+      SELECT COUNT(*) AS c FROM referrals WHERE giveaway_id=? AND referrer_id=? AND status='credited'
+    `).get(gid, ctx.from.id).c;
+
+    return ctx.reply(
+      t(lang, "ref_link", {
+        id: gid,
+        link: refLink(ctx.botInfo.username, gid, ctx.from.id),
+        cap: g.referral_cap || 0,
+        credited
+      }),
+      { parse_mode: "HTML", disable_web_page_preview: true }
+    );
+  }
+
+  const staff = !!getRole(ctx.from.id);
+  if (!staff && !GROUP_ADMINS) return next?.();
+
+  // lệnh trên 1 giveaway (/cmd <id> ...): kiểm tra quyền trên giveaway đó
+  if (GIVEAWAY_CMDS.has(cmd)) {
+    const gid = Number(((ctx.message.text || "").trim().split(/\s+/)[1] || "").trim());
+    const g = gid ? db.prepare(`SELECT id, chat_id, owner_id FROM giveaways WHERE id=?`).get(gid) : null;
+    if (g ? !(await canManageGiveaway(ctx, g)) : !staff) {
+      return staff ? ctx.reply(t(lang, "no_permission")) : next?.();
+    }
+    if (OUTCOME_CMDS.has(cmd) && !can(ctx.from.id, "manage")) {
+      return staff ? ctx.reply(t(lang, "no_permission")) : next?.();
+    }
+  } else if (cmd === "/series" && !can(ctx.from.id, "settings")) {
+    return staff ? ctx.reply(t(lang, "no_permission")) : next?.();
+  }
 
   if (cmd === "/history") {
-    const rows = db.prepare(`
-      SELECT id, prize, ended, canceled, end_time, announced
+    // /history [group id]: lọc theo group trong /groups
+    const groupArg = ((ctx.message.text || "").trim().split(/\s+/)[1] || "").replace(/^#/, "");
+    let chatId = null;
+    if (groupArg) {
+      chatId = db.prepare(`SELECT chat_id FROM groups WHERE id=?`).get(Number(groupArg))?.chat_id;
+      if (!chatId) return ctx.reply(t(lang, "group_not_found"));
+    }
+
+    // owner/admin: 10 giveaway gần nhất; còn lại: 10 giveaway gần nhất mình được quản lý
+    const all = can(ctx.from.id, "manage");
+    const recent = db.prepare(`
+      SELECT id, chat_id, owner_id, message_id, prize, ended, canceled, paused, end_time, announced, series_id,
+             (SELECT COUNT(*) FROM giveaway_chats c WHERE c.giveaway_id = giveaways.id) AS chats
       FROM giveaways
+      ${chatId ? "WHERE id IN (SELECT giveaway_id FROM giveaway_chats WHERE chat_id=?)" : ""}
       ORDER BY id DESC
-      LIMIT 10
-    `).all();
+      LIMIT ?
+    `).all(...(chatId ? [chatId] : []), all ? 10 : 200);
+
+    const rows = [];
+    for (const r of recent) {
+      if (rows.length >= 10) break;
+      if (all || await canManageGiveaway(ctx, r)) rows.push(r);
+    }
+    if (!staff && !rows.length) return next?.();
 
-    let text = "📜 <b>LỊCH SỬ GIVEAWAY</b>\n\n";
-    if (!rows.length) text += "(chưa có)\n";
+    let text = `${t(lang, "history_title")}${chatId ? ` — ${escHtml(groupName(chatId))}` : ""}\n\n`;
+    if (!rows.length) text += `${t(lang, "empty_list")}\n`;
 
     for (const r of rows) {
-      const status = r.canceled ? "⛔ Hủy" : (r.ended ? "✅ Đã quay" : "⏳ Đang chạy");
+      const status = t(lang, r.canceled ? "status_canceled_short"
+        : r.ended ? "status_drawn"
+        : r.paused ? "status_paused"
+        : !r.message_id ? "status_scheduled"
+        : "status_running") + (r.series_id ? ` 🔁${r.series_id}` : "") + (r.chats > 1 ? ` 🌐${r.chats}` : "");
       const ann = r.announced ? "📣" : "🕒";
-      text += `#${r.id} | ${status} ${ann} | ${escHtml(r.prize)}\n   ⏰ ${fmtUnix(r.end_time)}\n`;
+      text += `#${r.id} | ${status} ${ann} | ${escHtml(r.prize)}\n   ⏰ ${fmtUnix(r.end_time, lang)}\n`;
     }
     return ctx.reply(text, { parse_mode: "HTML" });
   }
@@ -444,313 +1514,2645 @@ bot.on("text", async (ctx, next) => {
   if (cmd === "/ginfo") {
     const parts = (ctx.message.text || "").trim().split(/\s+/);
     const gid = Number((parts[1] || "").trim());
-    if (!gid) return ctx.reply("Dùng: /ginfo <id>");
+    if (!gid) return ctx.reply(t(lang, "usage", { usage: "/ginfo <id>" }));
 
     const g = db.prepare(`SELECT * FROM giveaways WHERE id=?`).get(gid);
-    if (!g) return ctx.reply("Không tìm thấy giveaway.");
+    if (!g) return ctx.reply(t(lang, "not_found"));
 
     const pCount = db.prepare(`SELECT COUNT(*) AS c FROM participants WHERE giveaway_id=?`).get(gid).c;
-    const ws = db.prepare(`SELECT user_id,name FROM winners WHERE giveaway_id=? ORDER BY rowid ASC`).all(gid);
-
-    const status = g.canceled ? "⛔ Đã hủy" : (g.ended ? "✅ Đã quay" : "⏳ Đang chạy");
-    const ann = g.announced ? "✅ Đã gửi kết quả" : "❌ Chưa gửi kết quả";
-
-    let text = `ℹ️ <b>Giveaway #${gid}</b>\n\n`;
-    text += `🎁 <b>Phần thưởng:</b> ${escHtml(g.prize)}\n`;
-    text += `🤝 <b>Nhà tài trợ:</b> ${escHtml(g.sponsor)}\n`;
-    text += `🏆 <b>Số người trúng:</b> ${g.winners}\n`;
-    text += `👥 <b>Tham gia:</b> ${pCount}\n`;
-    text += `⏰ <b>Quay lúc:</b> ${fmtUnix(g.end_time)}\n`;
-    text += `📌 <b>Trạng thái:</b> ${status}\n`;
-    if (!g.canceled && g.ended) text += `📣 <b>Announce:</b> ${ann}\n`;
-    if (g.canceled) text += `📝 <b>Lý do hủy:</b> ${escHtml(g.cancel_reason || "Không có")}\n`;
-
-    text += `\n🏆 <b>Winners:</b>\n`;
-    if (!ws.length) text += "(chưa có)\n";
-    else ws.forEach((w, i) => (text += `${i + 1}. ${escHtml(w.name)} (${w.user_id})\n`));
+    const xCount = db.prepare(`SELECT COUNT(*) AS c FROM excluded_entries WHERE giveaway_id=?`).get(gid).c;
+    const ws = db.prepare(`
+      SELECT user_id,name,tier,status,claim_deadline FROM winners WHERE giveaway_id=? ORDER BY rowid ASC
+    `).all(gid);
+    const tiers = getTiers(g);
+
+    const status = t(lang, g.canceled ? "status_canceled"
+      : g.ended ? "status_drawn"
+      : g.paused ? "status_paused"
+      : !g.message_id ? "status_scheduled"
+      : "status_running");
+    const ann = t(lang, g.announced ? "ginfo_announced" : "ginfo_not_announced");
+
+    let text = `${t(lang, "ginfo_title", { id: gid })}\n\n`;
+    text += `${t(lang, "win_reward", { prize: escHtml(g.prize) })}\n`;
+    text += `${t(lang, "gw_sponsor", { sponsor: escHtml(g.sponsor) })}\n`;
+    text += `${t(lang, "gw_winners", { n: g.winners })}\n`;
+    if (tiers.length > 1) text += buildTiersLines(tiers);
+    text += `${t(lang, "ginfo_joined", { n: pCount })}\n`;
+    if (xCount) text += `${t(lang, "ginfo_ineligible", { n: xCount })}\n`;
+    if (g.start_time) text += `${t(lang, "gw_start", { time: fmtUnix(g.start_time, lang) })}\n`;
+    text += `${t(lang, "proof_drawn_at", { time: fmtUnix(g.end_time, lang) })}\n`;
+    if (g.series_id) text += `${t(lang, "ginfo_series", { id: g.series_id })}\n`;
+    text += `${t(lang, "ginfo_groups", { groups: escHtml(giveawayChats(gid).map(c => groupName(c.chat_id)).join(", ")) })}\n`;
+    if (g.updated_at) text += `${t(lang, "gw_updated", { time: fmtUnix(g.updated_at, lang) })}\n`;
+    text += `${t(lang, "ginfo_status", { status })}\n`;
+    if (!g.canceled && g.ended) text += `${t(lang, "ginfo_announce", { status: ann })}\n`;
+    if (g.canceled) text += `${t(lang, "ginfo_cancel_reason", { reason: escHtml(g.cancel_reason || t(lang, "none")) })}\n`;
+
+    text += `\n${t(lang, "ginfo_winners")}\n`;
+    if (!ws.length) text += `${t(lang, "empty_list")}\n`;
+    else ws.forEach((w, i) => {
+      const icon = WINNER_STATUS_ICONS[w.status] || "⏳";
+      text += `${i + 1}. ${icon} ${tiers.length > 1 ? `${tierIcon(w.tier || 1)} ` : ""}${escHtml(w.name)} (${w.user_id})\n`;
+    });
+    if (ws.length) text += `${t(lang, "ginfo_legend")}\n`;
 
     // ✅ Proof chỉ hiện trong DM
     if (ctx.chat.type === "private") {
-      text += `\n\n${buildProofText(g)}`;
+      text += `\n\n${buildProofText(g, lang)}`;
     } else {
-      text += `\n\n🔒 Proof (Commit/Seed/Verify) chỉ xem trong DM: dùng <code>/proof ${gid}</code>`;
+      text += `\n\n${t(lang, "ginfo_proof_dm", { id: gid })}`;
     }
 
     return ctx.reply(text, { parse_mode: "HTML" });
   }
 
   if (cmd === "/proof") {
-    if (ctx.chat.type !== "private") return ctx.reply("ℹ️ Dùng /proof trong chat riêng với bot.");
+    if (ctx.chat.type !== "private") return ctx.reply(t(lang, "dm_only", { cmd: "/proof" }));
 
     const parts = (ctx.message.text || "").trim().split(/\s+/);
     const gid = Number((parts[1] || "").trim());
-    if (!gid) return ctx.reply("Dùng: /proof <id>");
+    if (!gid) return ctx.reply(t(lang, "usage", { usage: "/proof <id>" }));
 
     const g = db.prepare(`SELECT * FROM giveaways WHERE id=?`).get(gid);
-    if (!g) return ctx.reply("Không tìm thấy giveaway.");
+    if (!g) return ctx.reply(t(lang, "not_found"));
 
-    return ctx.reply(buildProofText(g), { parse_mode: "HTML" });
+    return ctx.reply(buildProofText(g, lang), { parse_mode: "HTML" });
+  }
+
+  // /export <id> [csv|json] | /export <DD/MM/YYYY> <DD/MM/YYYY> [csv|json] (DM, gửi file)
+  if (cmd === "/export") {
+    if (ctx.chat.type !== "private") return ctx.reply(t(lang, "dm_only", { cmd: "/export" }));
+
+    const parts = (ctx.message.text || "").trim().split(/\s+/).slice(1);
+    const format = ["csv", "json"].includes((parts[parts.length - 1] || "").toLowerCase()) ? parts.pop().toLowerCase() : "json";
+
+    if (parts.length === 2) {
+      // parse strict (32/13/2026, "abc" -> invalid) rồi mới gắn TZ; dayjs.tz(...) với input sai sẽ throw
+      const days = parts.map(s => dayjs(s, "DD/MM/YYYY", true));
+      if (days.some(d => !d.isValid())) return ctx.reply(t(lang, "usage_export"));
+      const [from, to] = days.map(d => d.tz(TZ, true));
+      if (to.isBefore(from)) return ctx.reply(t(lang, "usage_export"));
+
+      // owner/admin: mọi giveaway; sponsor / admin group: giveaway mình được quản lý
+      const all = can(ctx.from.id, "manage");
+      const rows = [];
+      for (const g of db.prepare(`
+        SELECT id, chat_id, owner_id FROM giveaways WHERE end_time >= ? AND end_time <= ? ORDER BY id ASC LIMIT ?
+      `).all(from.unix(), to.endOf("day").unix(), EXPORT_MAX_GIVEAWAYS)) {
+        if (all || await canManageGiveaway(ctx, g)) rows.push(g);
+      }
+      if (!rows.length) return ctx.reply(t(lang, "export_empty"));
+
+      const bundles = rows.map(g => exportBundle(g.id, { requireDrawn: false }));
+      const range = `${from.format("YYYYMMDD")}-${to.format("YYYYMMDD")}`;
+      return ctx.replyWithDocument(
+        {
+          source: Buffer.from(format === "csv" ? buildBulkCsv(bundles) : JSON.stringify({ from: from.unix(), to: to.endOf("day").unix(), giveaways: bundles }, null, 2)),
+          filename: `giveaways-${range}.${format}`
+        },
+        { caption: t(lang, "export_bulk_caption", { n: bundles.length, from: parts[0], to: parts[1] }) }
+      );
+    }
+
+    const gid = Number(parts[0] || "");
+    if (!gid || parts.length !== 1) return ctx.reply(t(lang, "usage_export"));
+    const g = db.prepare(`SELECT id FROM giveaways WHERE id=?`).get(gid);
+    if (!g) return ctx.reply(t(lang, "not_found"));
+
+    const bundle = exportBundle(gid, { requireDrawn: false });
+    return ctx.replyWithDocument(
+      {
+        source: Buffer.from(format === "csv" ? buildGiveawayCsv(bundle) : JSON.stringify(bundle, null, 2)),
+        filename: `giveaway-${gid}.${format}`
+      },
+      { caption: t(lang, format === "json" && bundle.seed ? "export_caption_verify" : "export_caption", { id: gid }) }
+    );
   }
 
   if (cmd === "/cancel") {
     const parts = (ctx.message.text || "").trim().split(/\s+/);
     const gid = Number((parts[1] || "").trim());
-    const reason = parts.slice(2).join(" ").trim() || "Không có";
-    if (!gid) return ctx.reply("Dùng: /cancel <id> [lý do]");
+    const reason = parts.slice(2).join(" ").trim() || null;
+    if (!gid) return ctx.reply(t(lang, "usage_cancel"));
 
     const g = db.prepare(`
       SELECT id, chat_id, message_id, prize, sponsor, ended, canceled
       FROM giveaways WHERE id=?
     `).get(gid);
 
-    if (!g) return ctx.reply("❌ Không tìm thấy giveaway.");
-    if (g.canceled === 1) return ctx.reply("⚠️ Giveaway đã bị hủy trước đó.");
-    if (g.ended === 1) return ctx.reply("⚠️ Giveaway đã kết thúc, không thể hủy.");
+    if (!g) return ctx.reply(t(lang, "not_found_x"));
+    if (g.canceled === 1) return ctx.reply(t(lang, "cancel_already"));
+    if (g.ended === 1) return ctx.reply(t(lang, "cancel_ended"));
 
     const now = dayjs().unix();
-    db.prepare(`
-      UPDATE giveaways
-      SET canceled=1, ended=1, ended_at=?, cancel_reason=?
-      WHERE id=?
-    `).run(now, reason, gid);
-
     const count = db.prepare(`SELECT COUNT(*) AS c FROM participants WHERE giveaway_id=?`).get(gid).c;
 
-    try {
-      await ctx.telegram.editMessageText(
-        g.chat_id,
-        g.message_id,
-        null,
-        buildCanceledTextPublic({ ...g, cancel_reason: reason }, count),
-        { parse_mode: "HTML", disable_web_page_preview: true }
-      );
-    } catch {}
+    // hủy + sửa post + thông báo trong 1 transaction (outbox gửi sau)
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE giveaways
+        SET canceled=1, ended=1, ended_at=?, cancel_reason=?
+        WHERE id=?
+      `).run(now, reason, gid);
+      emitEvent("canceled", `canceled:${gid}`, { giveaway: apiGiveaway(db.prepare(`SELECT * FROM giveaways WHERE id=?`).get(gid)), reason: reason || null });
+
+      // chưa đăng (scheduled start) -> không có gì để báo trong group
+      if (!g.message_id) return;
+
+      for (const c of giveawayChats(gid)) {
+        if (!c.message_id) continue;
+        enqueueOutbox(`cancel:${gid}:edit:${c.chat_id}`, "editMessageText", {
+          chat_id: c.chat_id,
+          message_id: c.message_id,
+          text: buildCanceledTextPublic({ ...g, cancel_reason: reason }, count, chatLang(c.chat_id)),
+          parse_mode: "HTML",
+          disable_web_page_preview: true
+        }, { giveawayId: gid, kind: "cancel" });
+      }
 
-    try {
-      await ctx.telegram.sendMessage(
-        g.chat_id,
-        `⛔ Giveaway #${gid} đã bị <b>hủy</b>.\n🎁 <b>Phần thưởng:</b> ${escHtml(g.prize)}\n📝 <b>Lý do:</b> ${escHtml(reason)}`,
-        { parse_mode: "HTML" }
-      );
-    } catch {}
+      queueToGiveawayChats(g, `cancel:${gid}`, groupLang =>
+        `${t(groupLang, "cancel_notice", { id: gid })}\n` +
+        `${t(groupLang, "win_reward", { prize: escHtml(g.prize) })}\n` +
+        t(groupLang, "cancel_reason", { reason: escHtml(reason || t(groupLang, "none")) }),
+      { kind: "cancel" });
+    })();
+    kickOutbox();
+    armDrawTimer();
 
-    return ctx.reply(`✅ Đã hủy giveaway #${gid}.`);
+    return ctx.reply(t(lang, "cancel_done", { id: gid }));
   }
 
-  // ✅ Dự phòng: admin DM bot để gửi kết quả vào group
-  if (cmd === "/announce") {
-    if (ctx.chat.type !== "private") return ctx.reply("ℹ️ Dùng /announce trong chat riêng với bot.");
-
+  if (cmd === "/bonus") {
     const parts = (ctx.message.text || "").trim().split(/\s+/);
     const gid = Number((parts[1] || "").trim());
-    if (!gid) return ctx.reply("Dùng: /announce <id>");
+    const userId = Number((parts[2] || "").trim());
+    const delta = Number((parts[3] || "").trim());
+    if (!gid || !userId || !Number.isInteger(delta) || !delta) return ctx.reply(t(lang, "usage_bonus"));
 
-    const g = db.prepare(`SELECT * FROM giveaways WHERE id=?`).get(gid);
-    if (!g) return ctx.reply("Không tìm thấy giveaway.");
-    if (g.canceled) return ctx.reply("Giveaway đã bị hủy.");
-    if (!g.ended) return ctx.reply("Giveaway chưa đến giờ quay hoặc chưa quay.");
+    const g = db.prepare(`SELECT id, ended, canceled, end_time FROM giveaways WHERE id=?`).get(gid);
+    if (!g) return ctx.reply(t(lang, "not_found_x"));
+    if (g.canceled || g.ended || dayjs().unix() >= g.end_time) return ctx.reply(t(lang, "gw_closed_tickets"));
+
+    const p = db.prepare(`SELECT weight FROM participants WHERE giveaway_id=? AND user_id=?`).get(gid, userId);
+    if (!p) return ctx.reply(t(lang, "bonus_not_joined"));
 
-    const ws = db.prepare(`SELECT user_id,name FROM winners WHERE giveaway_id=? ORDER BY rowid ASC`).all(gid);
-    if (!ws.length) return ctx.reply("Chưa có winners trong DB (có thể bot chưa quay).");
+    const tickets = clampTickets(ticketsOf(p) + delta);
+    db.prepare(`UPDATE participants SET weight=? WHERE giveaway_id=? AND user_id=?`).run(tickets, gid, userId);
+    return ctx.reply(t(lang, "bonus_done", { user: userId, n: tickets, id: gid }));
+  }
 
-    const publicText = buildWinnersTextPublic(g, ws);
+  if (cmd === "/bonusrule") {
+    const parts = (ctx.message.text || "").trim().split(/\s+/);
+    const gid = Number((parts[1] || "").trim());
+    const kind = (parts[2] || "").toLowerCase();
+    if (!gid) return ctx.reply(t(lang, "usage_bonusrule"));
 
-    try {
-      await ctx.telegram.sendMessage(g.chat_id, publicText, { parse_mode: "HTML" });
-      db.prepare(`UPDATE giveaways SET announced=1, announced_at=? WHERE id=?`).run(dayjs().unix(), gid);
+    const g = db.prepare(`SELECT id, ended, canceled FROM giveaways WHERE id=?`).get(gid);
+    if (!g) return ctx.reply(t(lang, "not_found_x"));
 
-      // DM proof cho admin luôn
-      for (const adminId of ADMINS) {
-        bot.telegram.sendMessage(adminId, buildProofText(g), { parse_mode: "HTML" }).catch(() => {});
+    if (kind === "clear") {
+      db.prepare(`DELETE FROM bonus_rules WHERE giveaway_id=?`).run(gid);
+      return ctx.reply(t(lang, "bonusrule_cleared", { id: gid }));
+    }
+
+    if (kind === "member" || kind === "boost") {
+      if (g.canceled || g.ended) return ctx.reply(t(lang, "gw_finished"));
+      const chatId = kind === "member" ? (parts[3] || "").trim() : null;
+      const tickets = Number((kind === "member" ? parts[4] : parts[3]) || "");
+      if ((kind === "member" && !chatId) || !Number.isInteger(tickets) || tickets < 1) {
+        return ctx.reply(t(lang, "usage_bonusrule_add"));
       }
+      db.prepare(`INSERT INTO bonus_rules(giveaway_id,kind,chat_id,tickets) VALUES (?,?,?,?)`).run(gid, kind, chatId, tickets);
+    } else if (kind) {
+      return ctx.reply(t(lang, "usage_bonusrule"));
+    }
 
-      return ctx.reply(`✅ Đã gửi kết quả giveaway #${gid} vào nhóm.`);
-    } catch (err) {
-      console.error("MANUAL_ANNOUNCE_FAIL", gid, err?.response?.description || err);
-      return ctx.reply(`❌ Gửi thất bại: ${err?.response?.description || "unknown error"}`);
+    const rules = db.prepare(`SELECT kind, chat_id, tickets FROM bonus_rules WHERE giveaway_id=? ORDER BY rowid ASC`).all(gid);
+    let text = `${t(lang, "bonusrule_title", { id: gid, max: MAX_TICKETS })}\n\n`;
+    if (!rules.length) text += `${t(lang, "empty_list")}\n`;
+    for (const r of rules) {
+      text += r.kind === "boost"
+        ? `${t(lang, "bonusrule_boost", { n: r.tickets })}\n`
+        : `${t(lang, "bonusrule_member", { chat: escHtml(r.chat_id), n: r.tickets })}\n`;
     }
+    return ctx.reply(text, { parse_mode: "HTML" });
   }
 
-  return next?.();
-});
+  if (cmd === "/require") {
+    const parts = (ctx.message.text || "").trim().split(/\s+/);
+    const gid = Number((parts[1] || "").trim());
+    const kind = (parts[2] || "").toLowerCase();
+    if (!gid) return ctx.reply(t(lang, "usage_require"));
 
-// ---------------- Core: create + post ----------------
-async function createGiveawayAndPost(ctx, targetGroupId, winners, endUnix, prize, sponsor) {
-  const seed = makeSeed();
-  const seed_hash = sha256Hex(seed);
+    const g = db.prepare(`SELECT id, ended, canceled FROM giveaways WHERE id=?`).get(gid);
+    if (!g) return ctx.reply(t(lang, "not_found_x"));
 
-  const text = buildGiveawayTextPublic({ prize, sponsor, winners, end_time: endUnix }, 0);
+    if (kind === "clear") {
+      db.prepare(`DELETE FROM entry_rules WHERE giveaway_id=?`).run(gid);
+      return ctx.reply(t(lang, "require_cleared", { id: gid }));
+    }
 
-  try {
-    const sent = await ctx.telegram.sendMessage(targetGroupId, text, {
-      parse_mode: "HTML",
-      disable_web_page_preview: true,
-      ...Markup.inlineKeyboard([Markup.button.callback("🎉 Tham gia", "temp")])
-    });
+    if (["member", "captcha", "question", "tenure"].includes(kind)) {
+      if (g.canceled || g.ended) return ctx.reply(t(lang, "gw_finished"));
+      const rest = parts.slice(3).join(" ").replace(/｜/g, "|");
+      const rule = { chat_id: null, question: null, answer: null, seconds: null };
+
+      if (kind === "member") {
+        rule.chat_id = (parts[3] || "").trim();
+        if (!rule.chat_id) return ctx.reply(t(lang, "usage_require"));
+      } else if (kind === "question") {
+        const [question, answer] = rest.split("|").map(s => (s || "").trim());
+        if (!question || !answer) return ctx.reply(t(lang, "usage_require"));
+        Object.assign(rule, { question, answer });
+      } else if (kind === "tenure") {
+        const hours = Number(parts[3] || "");
+        if (!Number.isFinite(hours) || hours <= 0) return ctx.reply(t(lang, "usage_require"));
+        rule.seconds = Math.round(hours * 3600);
+      }
 
-    const info = db.prepare(`
-      INSERT INTO giveaways(chat_id,message_id,prize,sponsor,winners,end_time,created_at,seed,seed_hash,announced)
-      VALUES (?,?,?,?,?,?,?,?,?,0)
-    `).run(
-      targetGroupId,
-      sent.message_id,
-      prize,
-      sponsor,
-      winners,
-      endUnix,
-      dayjs().unix(),
-      seed,
-      seed_hash
-    );
+      // captcha / question / tenure: mỗi giveaway 1 luật (thêm lại = thay thế)
+      if (kind !== "member") db.prepare(`DELETE FROM entry_rules WHERE giveaway_id=? AND kind=?`).run(gid, kind);
+      db.prepare(`INSERT INTO entry_rules(giveaway_id,kind,chat_id,question,answer,seconds) VALUES (?,?,?,?,?,?)`)
+        .run(gid, kind, rule.chat_id, rule.question, rule.answer, rule.seconds);
+    } else if (kind) {
+      return ctx.reply(t(lang, "usage_require"));
+    }
 
-    const gid = info.lastInsertRowid;
+    const rules = getEntryRules(gid);
+    let text = `${t(lang, "require_title", { id: gid })}\n\n`;
+    if (!rules.length) text += `${t(lang, "empty_list")}\n`;
+    for (const r of rules) text += `${entryRuleLine(r, lang)}\n`;
+    if (rules.some(r => r.kind === "tenure")) text += `\n${t(lang, "require_tenure_note")}`;
+    return ctx.reply(text, { parse_mode: "HTML" });
+  }
 
-    await ctx.telegram.editMessageReplyMarkup(
-      targetGroupId,
-      sent.message_id,
-      null,
-      Markup.inlineKeyboard([Markup.button.callback("🎉 Tham gia", `join_${gid}`)]).reply_markup
-    );
+  if (cmd === "/refcap") {
+    const parts = (ctx.message.text || "").trim().split(/\s+/);
+    const gid = Number((parts[1] || "").trim());
+    const cap = Number((parts[2] || "").trim());
+    if (!gid || !Number.isInteger(cap) || cap < 0) return ctx.reply(t(lang, "usage", { usage: "/refcap <id> <n>" }));
 
-    await ctx.reply(`✅ Đã tạo giveaway #${gid}\n⏰ Quay lúc: ${fmtUnix(endUnix)}`);
-  } catch {
-    await ctx.reply("❌ Bot không gửi được vào group. Hãy đảm bảo bot có quyền và đã /setgroup.");
-  }
-}
+    const g = db.prepare(`SELECT id, ended, canceled FROM giveaways WHERE id=?`).get(gid);
+    if (!g) return ctx.reply(t(lang, "not_found_x"));
+    if (g.canceled || g.ended) return ctx.reply(t(lang, "gw_finished"));
 
-// ---------------- Join button (member-only) ----------------
-bot.action(/^join_(\d+)$/, async ctx => {
-  const gid = Number(ctx.match[1]);
+    db.prepare(`UPDATE giveaways SET referral_cap=? WHERE id=?`).run(cap, gid);
+    return ctx.reply(t(lang, "refcap_done", { id: gid, cap }));
+  }
 
-  const g = db.prepare(`
-    SELECT id, chat_id, message_id, prize, sponsor, winners, end_time, ended, canceled
-    FROM giveaways WHERE id=?
-  `).get(gid);
+  if (cmd === "/referrals") {
+    const parts = (ctx.message.text || "").trim().split(/\s+/);
+    const gid = Number((parts[1] || "").trim());
+    if (!gid) return ctx.reply(t(lang, "usage", { usage: "/referrals <id>" }));
 
-  if (!g) return ctx.answerCbQuery("❌ Giveaway không tồn tại", { show_alert: true });
-  if (g.canceled === 1) return ctx.answerCbQuery("⛔ Giveaway đã bị hủy", { show_alert: true });
+    const g = db.prepare(`SELECT id, referral_cap FROM giveaways WHERE id=?`).get(gid);
+    if (!g) return ctx.reply(t(lang, "not_found_x"));
 
-  const now = dayjs().unix();
-  if (g.ended === 1 || now >= g.end_time) {
-    return ctx.answerCbQuery("⏳ Giveaway đã đóng / đã quay", { show_alert: true });
+    const rows = db.prepare(`
+      SELECT r.referrer_id,
+             COALESCE(p.name, '') AS name,
+             SUM(r.status='credited') AS credited,
+             SUM(r.status='capped') AS capped,
+             SUM(r.status='pending') AS pending
+      FROM referrals r
+      LEFT JOIN participants p ON p.giveaway_id=r.giveaway_id AND p.user_id=r.referrer_id
+      WHERE r.giveaway_id=?
+      GROUP BY r.referrer_id
+      ORDER BY credited + capped DESC, MIN(r.created_at) ASC
+      LIMIT 20
+    `).all(gid);
+
+    let text = `${t(lang, "referrals_title", { id: gid, cap: g.referral_cap || 0 })}\n\n`;
+    if (!rows.length) text += `${t(lang, "empty_list")}\n`;
+    rows.forEach((r, i) => {
+      text += t(lang, "referrals_row", {
+        i: i + 1,
+        name: escHtml(r.name),
+        user: r.referrer_id,
+        invited: r.credited + r.capped,
+        credited: r.credited
+      });
+      text += `${r.pending ? ` | ⏳ ${r.pending}` : ""}\n`;
+    });
+    return ctx.reply(text, { parse_mode: "HTML" });
   }
 
-  const ok = await isGroupMember(ctx, g.chat_id, ctx.from.id);
-  if (!ok) return ctx.answerCbQuery("❌ Bạn phải là member của group mới được tham gia", { show_alert: true });
+  if (cmd === "/reroll") {
+    const parts = (ctx.message.text || "").trim().split(/\s+/);
+    const gid = Number((parts[1] || "").trim());
+    const userId = Number((parts[2] || "").trim());
+    const reason = parts.slice(3).join(" ").trim() || null;
+    if (!gid || !userId) return ctx.reply(t(lang, "usage_reroll"));
 
-  try {
-    db.prepare(`INSERT INTO participants(giveaway_id,user_id,name,joined_at) VALUES (?,?,?,?)`)
-      .run(gid, ctx.from.id, ctx.from.first_name || ctx.from.username || "User", now);
-  } catch {
-    return ctx.answerCbQuery("❗ Bạn đã tham gia rồi", { show_alert: true });
+    const g = db.prepare(`SELECT * FROM giveaways WHERE id=?`).get(gid);
+    if (!g) return ctx.reply(t(lang, "not_found_x"));
+    if (g.canceled || !g.ended) return ctx.reply(t(lang, "reroll_not_drawn"));
+
+    // đổi winner + thông báo cùng transaction (outbox gửi sau)
+    const r = db.transaction(() => {
+      const res = rerollSlot(g, userId, "replaced");
+      if (res) announceReroll(g, res, reason);
+      return res;
+    })();
+    if (!r) return ctx.reply(t(lang, "reroll_not_winner"));
+
+    kickOutbox();
+    return ctx.reply(
+      r.next
+        ? t(lang, "reroll_done", { user: userId, name: escHtml(r.next.name), next: r.next.user_id, pos: r.pos })
+        : t(lang, "reroll_done_none", { user: userId })
+    );
   }
 
-  const count = db.prepare(`SELECT COUNT(*) AS c FROM participants WHERE giveaway_id=?`).get(gid).c;
+  if (cmd === "/edit") {
+    const parts = (ctx.message.text || "").trim().split(/\s+/);
+    const gid = Number((parts[1] || "").trim());
+    const field = (parts[2] || "").toLowerCase();
+    const value = parts.slice(3).join(" ").trim();
+    if (!gid || !["prize", "sponsor", "winners"].includes(field) || !value) return ctx.reply(t(lang, "usage_edit"));
 
-  try {
-    const newText = buildGiveawayTextPublic(
-      { prize: g.prize, sponsor: g.sponsor, winners: g.winners, end_time: g.end_time },
-      count
-    );
+    const { g, err } = getEditable(gid);
+    if (err) return ctx.reply(t(lang, err));
+    const now = dayjs().unix();
 
-    await ctx.telegram.editMessageText(
-      g.chat_id,
-      g.message_id,
-      null,
-      newText,
-      {
-        parse_mode: "HTML",
-        disable_web_page_preview: true,
-        ...Markup.inlineKeyboard([Markup.button.callback("🎉 Tham gia", `join_${gid}`)])
-      }
-    );
-  } catch {}
+    if (field === "sponsor") {
+      db.prepare(`UPDATE giveaways SET sponsor=?, updated_at=? WHERE id=?`).run(value, now, gid);
+    } else if (field === "winners") {
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < 1 || n > 1000) return ctx.reply(t(lang, "form_bad_number"));
+      if (getTiers(g).length > 1) return ctx.reply(t(lang, "edit_winners_tiers", { id: gid }));
+
+      db.transaction(() => {
+        db.prepare(`UPDATE giveaways SET winners=?, updated_at=? WHERE id=?`).run(n, now, gid);
+        db.prepare(`UPDATE prize_tiers SET winners=? WHERE giveaway_id=?`).run(n, gid);
+      })();
+    } else {
+      let tiers;
+      try { tiers = parsePrizeTiers(value, null); }
+      catch { return ctx.reply(t(lang, "edit_bad_tiers")); }
+      // nhiều hạng -> số người trúng = tổng các hạng
+      const winners = tiers.length > 1 ? tiers.reduce((sum, x) => sum + x.winners, 0) : g.winners;
+      if (tiers.length === 1) tiers[0].winners = winners;
+
+      db.transaction(() => {
+        db.prepare(`UPDATE giveaways SET prize=?, winners=?, updated_at=? WHERE id=?`).run(value, winners, now, gid);
+        db.prepare(`DELETE FROM prize_tiers WHERE giveaway_id=?`).run(gid);
+        const insertTier = db.prepare(`INSERT INTO prize_tiers(giveaway_id,position,label,winners) VALUES (?,?,?,?)`);
+        for (const x of tiers) insertTier.run(gid, x.position, x.label, x.winners);
+      })();
+    }
 
-  return ctx.answerCbQuery("🎉 Tham gia thành công!");
-});
+    schedulePostUpdate(gid);
+    return ctx.reply(t(lang, "edit_done", { id: gid, field, value }));
+  }
 
-// ---------------- AUTO DRAW + AUTO ANNOUNCE (with retry) ----------------
-async function drawAndAnnounce() {
-  const now = dayjs().unix();
+  if (cmd === "/extend") {
+    const parts = (ctx.message.text || "").trim().split(/\s+/);
+    const gid = Number((parts[1] || "").trim());
+    const timeStr = parts.slice(2).join(" ").trim();
+    if (!gid || !timeStr) return ctx.reply(t(lang, "usage_extend"));
 
-  // all due giveaways that haven't been announced yet
-  const pending = db.prepare(`
-    SELECT id, chat_id, prize, sponsor, winners, seed, seed_hash, ended, canceled, end_time
-    FROM giveaways
-    WHERE canceled = 0
-      AND end_time <= ?
-      AND announced = 0
-  `).all(now);
+    const { g, err } = getEditable(gid);
+    if (err) return ctx.reply(t(lang, err));
 
-  for (const g of pending) {
-    try {
-      // draw if not ended
-      if (g.ended === 0) {
-        const participants = db.prepare(`SELECT user_id, name FROM participants WHERE giveaway_id=?`).all(g.id);
+    const end = dayjs(timeStr, "HH:mm DD/MM/YYYY", true).tz(TZ);
+    if (!end.isValid()) return ctx.reply(t(lang, "form_bad_time"));
+    if (end.unix() <= dayjs().unix()) return ctx.reply(t(lang, "form_time_future"));
+    if (g.start_time && end.unix() <= g.start_time) return ctx.reply(t(lang, "form_bad_range"));
 
-        if (!participants.length) {
-          db.prepare(`UPDATE giveaways SET ended=1, ended_at=? WHERE id=?`).run(now, g.id);
+    db.prepare(`UPDATE giveaways SET end_time=?, updated_at=? WHERE id=?`).run(end.unix(), dayjs().unix(), gid);
+    schedulePostUpdate(gid);
+    armDrawTimer();
+    return ctx.reply(t(lang, "extend_done", { id: gid, time: fmtUnix(end.unix(), lang) }));
+  }
 
-          const emptyText =
-            `⛔ Giveaway #${g.id} kết thúc nhưng không có ai tham gia.\n` +
-            `🎁 <b>Phần thưởng:</b> ${escHtml(g.prize)}\n` +
-            `🤝 <b>Nhà tài trợ:</b> ${escHtml(g.sponsor)}\n`;
+  if (cmd === "/pause" || cmd === "/resume") {
+    const parts = (ctx.message.text || "").trim().split(/\s+/);
+    const gid = Number((parts[1] || "").trim());
+    if (!gid) return ctx.reply(t(lang, "usage", { usage: `${cmd} <id>` }));
 
-          await bot.telegram.sendMessage(g.chat_id, emptyText, { parse_mode: "HTML" });
-          db.prepare(`UPDATE giveaways SET announced=1, announced_at=? WHERE id=?`).run(now, g.id);
+    const pause = cmd === "/pause";
+    const { g, err } = getEditable(gid, { overdue: !pause });
+    if (err) return ctx.reply(t(lang, err));
 
-          // DM proof cho admin
-          const fresh = db.prepare(`SELECT * FROM giveaways WHERE id=?`).get(g.id);
-          for (const adminId of ADMINS) {
-            bot.telegram.sendMessage(adminId, buildProofText(fresh), { parse_mode: "HTML" }).catch(() => {});
-          }
+    if (!!g.paused === pause) return ctx.reply(t(lang, pause ? "pause_already" : "resume_not_paused", { id: gid }));
 
-          continue;
-        }
+    const now = dayjs().unix();
+    db.prepare(`UPDATE giveaways SET paused=?, updated_at=? WHERE id=?`).run(pause ? 1 : 0, now, gid);
+    schedulePostUpdate(gid);
+    armDrawTimer();
+
+    if (pause) return ctx.reply(t(lang, "pause_done", { id: gid }));
+    // mở lại khi đã quá giờ quay -> quay ngay
+    if (g.end_time <= now) runDueDraws();
+    return ctx.reply(t(lang, "resume_done", { id: gid }) + (g.end_time <= now ? `\n${t(lang, "resume_overdue")}` : ""));
+  }
 
-        const picked = pickWinnersDeterministic(g.seed, g.id, participants, g.winners);
+  if (cmd === "/series") {
+    const parts = (ctx.message.text || "").trim().split(/\s+/);
+    const sub = (parts[1] || "list").toLowerCase();
+    const sid = Number((parts[2] || "").trim());
+
+    if (sub === "add") {
+      const targetGroupId = getDefaultGroupId();
+      if (!targetGroupId) return ctx.reply(t(lang, "no_group"));
+
+      let s;
+      try { s = parseSeriesArgs(ctx.message.text); }
+      catch { return ctx.reply(t(lang, "usage_series")); }
+
+      const now = dayjs().unix();
+      const row = { ...s, days: s.days.join(","), chat_id: targetGroupId };
+      const id = db.prepare(`
+        INSERT INTO series(chat_id,owner_id,days,time,duration,winners,prize,sponsor,next_run,created_at)
+        VALUES (?,?,?,?,?,?,?,?,?,?)
+      `).run(targetGroupId, ctx.from.id, row.days, s.time, s.duration, s.winners, s.prize, s.sponsor, nextSeriesRun(row, now), now)
+        .lastInsertRowid;
+
+      const created = db.prepare(`SELECT * FROM series WHERE id=?`).get(id);
+      return ctx.reply(`${t(lang, "series_created", { id })}\n\n${buildSeriesLine(created, lang)}`, { parse_mode: "HTML" });
+    }
 
-        const insertWinner = db.prepare(`INSERT INTO winners(giveaway_id,user_id,name) VALUES (?,?,?)`);
-        const tx = db.transaction(() => {
-          for (const w of picked) insertWinner.run(g.id, w.user_id, w.name);
-          db.prepare(`UPDATE giveaways SET ended=1, ended_at=? WHERE id=?`).run(now, g.id);
-        });
-        tx();
-      }
+    if (sub === "list") {
+      const rows = db.prepare(`
+        SELECT s.*, (SELECT COUNT(*) FROM giveaways g WHERE g.series_id = s.id) AS runs
+        FROM series s ORDER BY s.id ASC
+      `).all();
+      let text = `${t(lang, "series_title")}\n\n`;
+      if (!rows.length) text += `${t(lang, "empty_list")}\n`;
+      for (const s of rows) text += `${buildSeriesLine(s, lang)}\n`;
+      return ctx.reply(text, { parse_mode: "HTML" });
+    }
 
-      // announce from DB (so it can be retried)
-      const ws = db.prepare(`SELECT user_id,name FROM winners WHERE giveaway_id=? ORDER BY rowid ASC`).all(g.id);
-      if (!ws.length) {
-        console.error("AUTO_ANNOUNCE_NO_WINNERS_IN_DB", g.id);
-        continue; // don't mark announced => retry
-      }
+    if (!["pause", "resume", "delete"].includes(sub) || !sid) return ctx.reply(t(lang, "usage_series"));
 
-      const fresh = db.prepare(`SELECT * FROM giveaways WHERE id=?`).get(g.id);
+    const s = db.prepare(`SELECT * FROM series WHERE id=?`).get(sid);
+    if (!s) return ctx.reply(t(lang, "series_not_found"));
 
-      // GROUP: public winners only
-      const publicText = buildWinnersTextPublic(fresh, ws);
-      await bot.telegram.sendMessage(fresh.chat_id, publicText, { parse_mode: "HTML" });
+    if (sub === "pause") {
+      db.prepare(`UPDATE series SET paused=1 WHERE id=?`).run(sid);
+      return ctx.reply(t(lang, "series_paused", { id: sid }));
+    }
+    if (sub === "resume") {
+      // bỏ qua các lượt lỡ trong lúc pause
+      const next = nextSeriesRun(s, dayjs().unix());
+      db.prepare(`UPDATE series SET paused=0, next_run=? WHERE id=?`).run(next, sid);
+      return ctx.reply(t(lang, "series_resumed", { id: sid, time: fmtUnix(next, lang) }));
+    }
+    // giveaway đã tạo từ series vẫn giữ nguyên (series_id chỉ để tra lịch sử)
+    db.prepare(`DELETE FROM series WHERE id=?`).run(sid);
+    return ctx.reply(t(lang, "series_deleted", { id: sid }));
+  }
 
-      // mark announced only after success
-      db.prepare(`UPDATE giveaways SET announced=1, announced_at=? WHERE id=?`).run(now, g.id);
+  // ✅ Dự phòng: admin DM bot để gửi kết quả vào group
+  if (cmd === "/announce") {
+    if (ctx.chat.type !== "private") return ctx.reply(t(lang, "dm_only", { cmd: "/announce" }));
 
-      // DM: proof to admins
-      for (const adminId of ADMINS) {
-        bot.telegram.sendMessage(adminId, buildProofText(fresh), { parse_mode: "HTML" }).catch(() => {});
-      }
+    const parts = (ctx.message.text || "").trim().split(/\s+/);
+    const gid = Number((parts[1] || "").trim());
+    if (!gid) return ctx.reply(t(lang, "usage", { usage: "/announce <id>" }));
 
-    } catch (err) {
-      console.error("AUTO_ANNOUNCE_FAIL", g.id, err?.response?.description || err);
-      // don't set announced => retry next tick
-    }
+    const g = db.prepare(`SELECT * FROM giveaways WHERE id=?`).get(gid);
+    if (!g) return ctx.reply(t(lang, "not_found"));
+    if (g.canceled) return ctx.reply(t(lang, "announce_canceled"));
+    if (!g.ended) return ctx.reply(t(lang, "announce_not_drawn"));
+
+    if (!g.announced) armClaimDeadlines(gid, dayjs().unix());
+    const ws = db.prepare(`
+      SELECT user_id,name,tier,claim_deadline FROM winners
+      WHERE giveaway_id=? AND status NOT IN ('expired','replaced')
+      ORDER BY rowid ASC
+    `).all(gid);
+    if (!ws.length) return ctx.reply(t(lang, "announce_no_winners"));
+
+    // lần đầu: cùng key với auto announce (không gửi trùng); đã công bố: gửi lại, key theo lệnh này
+    const firstAnnounce = !g.announced;
+    const key = firstAnnounce ? `result:${gid}` : `announce:${gid}:${ctx.from.id}:${ctx.message.message_id}`;
+    db.transaction(() => {
+      queueToGiveawayChats(g, key, groupLang => buildWinnersTextPublic(g, ws, getTiers(g), groupLang), { claim: true, result: true });
+      db.prepare(`UPDATE giveaways SET announced=1, announced_at=? WHERE id=?`).run(dayjs().unix(), gid);
+      if (firstAnnounce) for (const w of ws) notifyWinner(g, w);
+
+      // DM proof cho admin luôn
+      queueProof(g, key);
+    })();
+    kickOutbox();
+
+    return ctx.reply(t(lang, "announce_done", { id: gid }));
   }
-}
 
-setInterval(() => drawAndAnnounce(), TICK_SECONDS * 1000);
+  return next?.();
+});
 
-// ---------------- launch ----------------
-bot.launch();
-console.log("🤖 Giveaway bot is running...");
+// ---------------- Core: create + post ----------------
+// new giveaway row (own seed/commit); chats = [{ chat_id, message_id }], chats[0] = group chính, message_id = 0 -> chưa đăng
+function insertGiveaway({ chats, winners, startUnix = null, endUnix, prize, sponsor, tiers, seriesId = null, ownerId = null }) {
+  const seed = makeSeed();
+  const tx = db.transaction(() => {
+    const gid = db.prepare(`
+      INSERT INTO giveaways(chat_id,message_id,prize,sponsor,winners,end_time,created_at,seed,seed_hash,announced,referral_cap,start_time,series_id,owner_id)
+      VALUES (?,?,?,?,?,?,?,?,?,0,?,?,?,?)
+    `).run(
+      chats[0].chat_id,
+      chats.every(c => c.message_id) ? chats[0].message_id : 0,
+      prize,
+      sponsor,
+      winners,
+      endUnix,
+      dayjs().unix(),
+      seed,
+      sha256Hex(seed),
+      DEFAULT_REFERRAL_CAP,
+      startUnix,
+      seriesId,
+      ownerId
+    ).lastInsertRowid;
+
+    const insertTier = db.prepare(`INSERT INTO prize_tiers(giveaway_id,position,label,winners) VALUES (?,?,?,?)`);
+    for (const t of tiers) insertTier.run(gid, t.position, t.label, t.winners);
+
+    const insertChat = db.prepare(`INSERT INTO giveaway_chats(giveaway_id,chat_id,message_id) VALUES (?,?,?)`);
+    for (const c of chats) insertChat.run(gid, c.chat_id, c.message_id || 0);
+
+    // createGiveawayAndPost (lệnh / form) + series
+    emitEvent("created", `created:${gid}`, { giveaway: apiGiveaway(db.prepare(`SELECT * FROM giveaways WHERE id=?`).get(gid)) });
+    return gid;
+  });
+  const gid = tx();
+  armDrawTimer();
+  return gid;
+}
+
+// re-render the group posts from DB (count, edits, pause); giveaway chung -> mọi group
+// sửa post ở mọi group -> retry_after (giây) lớn nhất nếu bị 429, 0 nếu ổn, null nếu giveaway không còn chạy
+// gọi qua schedulePostUpdate (gộp nhiều lượt tham gia thành 1 lần sửa)
+async function renderGiveawayPost(gid) {
+  const g = db.prepare(`SELECT * FROM giveaways WHERE id=?`).get(gid);
+  if (!g || !g.message_id || g.ended || g.canceled) {
+    countdownShown.delete(gid);
+    return null;
+  }
+
+  const count = db.prepare(`SELECT COUNT(*) AS c FROM participants WHERE giveaway_id=?`).get(gid).c;
+  const tiers = getTiers(g);
+  countdownShown.set(gid, JSON.stringify(countdownParts(g.end_time)));
+  let retryAfter = 0;
+  for (const c of giveawayChats(gid)) {
+    if (!c.message_id) continue;
+    const lang = chatLang(c.chat_id);
+    try {
+      await bot.telegram.editMessageText(
+        c.chat_id,
+        c.message_id,
+        null,
+        buildGiveawayTextPublic({ ...g, tiers }, count, lang),
+        {
+          parse_mode: "HTML",
+          disable_web_page_preview: true,
+          ...Markup.inlineKeyboard([Markup.button.callback(t(lang, "btn_join"), `join_${gid}`)])
+        }
+      );
+    } catch (err) {
+      const ra = err?.response?.parameters?.retry_after;
+      if (ra) retryAfter = Math.max(retryAfter, ra);
+      else if (!/message is not modified/.test(err?.response?.description || "")) {
+        metrics.sendFailures.post_edit++;
+        console.error("POST_EDIT_FAIL", gid, c.chat_id, err?.response?.description || err);
+      }
+    }
+  }
+  return retryAfter;
+}
+
+// 1 thông báo vào mọi group của giveaway (text theo ngôn ngữ từng group), qua outbox: key = <key>:<chat_id>
+// result: group nhận xong -> giveaway_chats.announced = 1; lỗi ở 1 group không chặn các group khác
+function queueToGiveawayChats(g, key, textFor, { claim = false, result = false, kind = result ? "result" : "notice" } = {}) {
+  for (const c of giveawayChats(g.id)) {
+    const lang = chatLang(c.chat_id);
+    queueMessage(`${key}:${c.chat_id}`, c.chat_id, textFor(lang), { parse_mode: "HTML", ...(claim ? claimKeyboard(g.id, lang) : {}) }, { giveawayId: g.id, kind });
+  }
+}
+
+// proof DM cho admin / owner của giveaway: key = <key>:proof:<admin_id>
+function queueProof(g, key) {
+  for (const adminId of giveawayStaffIds(g)) {
+    queueMessage(`${key}:proof:${adminId}`, adminId, buildProofText(g, userLang(adminId)), { parse_mode: "HTML" }, { giveawayId: g.id, kind: "proof" });
+  }
+}
+
+// targetChatIds: 1 group hoặc nhiều group (giveaway chung, group đầu = group chính)
+async function createGiveawayAndPost(ctx, targetChatIds, winners, endUnix, prize, sponsor, tiers, startUnix = null) {
+  tiers = tiers || [{ position: 1, label: prize, winners }];
+  const lang = ctxLang(ctx);
+
+  // scheduled start: chỉ lưu, tick sẽ đăng lúc start_time
+  if (startUnix && startUnix > dayjs().unix()) {
+    const chats = targetChatIds.map(chatId => ({ chat_id: chatId, message_id: 0 }));
+    const gid = insertGiveaway({ chats, winners, startUnix, endUnix, prize, sponsor, tiers, ownerId: ctx.from.id });
+    await ctx.reply(t(lang, "scheduled", { id: gid, start: fmtUnix(startUnix, lang), time: fmtUnix(endUnix, lang) }));
+    return gid;
+  }
+
+  const chats = [];
+  for (const chatId of targetChatIds) {
+    const groupLang = chatLang(chatId);
+    try {
+      const sent = await ctx.telegram.sendMessage(chatId, buildGiveawayTextPublic({ prize, sponsor, winners, end_time: endUnix, tiers }, 0, groupLang), {
+        parse_mode: "HTML",
+        disable_web_page_preview: true,
+        ...Markup.inlineKeyboard([Markup.button.callback(t(groupLang, "btn_join"), "temp")])
+      });
+      chats.push({ chat_id: chatId, message_id: sent.message_id });
+    } catch (err) {
+      console.error("CREATE_POST_FAIL", chatId, err?.response?.description || err);
+    }
+  }
+
+  if (!chats.length) {
+    await ctx.reply(t(lang, "create_fail"));
+    return null;
+  }
+
+  const gid = insertGiveaway({ chats, winners, endUnix, prize, sponsor, tiers, ownerId: ctx.from.id });
+
+  for (const c of chats) {
+    try {
+      await ctx.telegram.editMessageReplyMarkup(
+        c.chat_id,
+        c.message_id,
+        null,
+        Markup.inlineKeyboard([Markup.button.callback(t(chatLang(c.chat_id), "btn_join"), `join_${gid}`)]).reply_markup
+      );
+    } catch {}
+  }
+
+  const failed = targetChatIds.filter(chatId => !chats.some(c => c.chat_id === chatId));
+  await ctx.reply(
+    t(lang, "created", { id: gid, time: fmtUnix(endUnix, lang) }) +
+    (failed.length ? `\n${t(lang, "create_fail_groups", { groups: failed.map(groupName).join(", ") })}` : "")
+  );
+  return gid;
+}
+
+// ---------------- Post updates (debounce + countdown) ----------------
+// join / rời group / admin sửa -> schedulePostUpdate: mỗi giveaway tối đa 1 lần sửa / POST_UPDATE_SECONDS,
+// lần sửa luôn lấy số người mới nhất; 429 -> chờ đúng retry_after rồi sửa lại
+const postUpdates = new Map(); // gid -> { timer, running, dirty, nextAt }
+const countdownShown = new Map(); // gid -> countdown đang hiện trên post
+
+function schedulePostUpdate(gid) {
+  if (shuttingDown) return;
+  let s = postUpdates.get(gid);
+  if (!s) postUpdates.set(gid, (s = { timer: null, running: false, dirty: false, nextAt: 0 }));
+  if (s.running) {
+    s.dirty = true;
+    return;
+  }
+  if (s.timer) return;
+  s.timer = setTimeout(() => flushPostUpdate(gid), Math.max(0, s.nextAt - Date.now()));
+}
+
+async function flushPostUpdate(gid) {
+  const s = postUpdates.get(gid);
+  s.timer = null;
+  s.running = true;
+  s.dirty = false;
+  let retryAfter = 0;
+  try {
+    retryAfter = await renderGiveawayPost(gid);
+  } catch (err) {
+    console.error("POST_UPDATE_FAIL", gid, err);
+  }
+  s.running = false;
+  s.nextAt = Date.now() + Math.max(POST_UPDATE_SECONDS, retryAfter || 0) * 1000;
+
+  if (retryAfter) s.dirty = true;
+  if (s.dirty) schedulePostUpdate(gid);
+  else if (retryAfter === null) postUpdates.delete(gid);
+}
+
+// "còn 2 giờ 15 phút": phút làm tròn 5 khi còn >= 1 giờ -> post chỉ cần sửa khi chuỗi đổi
+function countdownParts(endTime, now = dayjs().unix()) {
+  const left = endTime - now;
+  if (left < 60) return { key: "countdown_soon", params: {} };
+  const d = Math.floor(left / 86400);
+  const h = Math.floor((left % 86400) / 3600);
+  const m = Math.floor((left % 3600) / 60);
+  if (d) return { key: "countdown_days", params: { d, h } };
+  if (h) return { key: "countdown_hours", params: { h, m: m - (m % 5) } };
+  return { key: "countdown_minutes", params: { m } };
+}
+
+// mỗi tick: giveaway đang chạy có countdown đổi -> sửa post (qua debounce)
+function refreshCountdowns() {
+  const now = dayjs().unix();
+  const running = db.prepare(`
+    SELECT id, end_time FROM giveaways
+    WHERE ended = 0 AND canceled = 0 AND paused = 0 AND message_id <> 0 AND end_time > ?
+  `).all(now);
+  for (const g of running) {
+    const shown = JSON.stringify(countdownParts(g.end_time, now));
+    // sau restart: coi post đang hiện đúng, sửa ở lần đổi tiếp theo
+    if (!countdownShown.has(g.id)) countdownShown.set(g.id, shown);
+    else if (countdownShown.get(g.id) !== shown) schedulePostUpdate(g.id);
+  }
+}
+
+// ---------------- Outbox (gửi bền vững) ----------------
+// kết quả / hủy / reroll vào group + DM (proof, claim) không gửi trực tiếp: enqueue cùng transaction với thay đổi trạng thái,
+// worker gửi theo thứ tự, retry + backoff, 429 chờ đúng retry_after; key trùng -> bỏ qua (không gửi 2 lần)
+const OUTBOX_BATCH = 30;
+const OUTBOX_MAX_ATTEMPTS = 8;
+const OUTBOX_LIST_MAX = 20;
+const OUTBOX_STUCK_SECONDS = 300; // pending quá hạn lâu hơn -> coi là kẹt (/outbox)
+
+// -> true nếu tin mới, false nếu key đã có
+function enqueueOutbox(key, method, payload, { giveawayId = null, kind = "notice" } = {}) {
+  const now = dayjs().unix();
+  return db.prepare(`
+    INSERT OR IGNORE INTO outbox(key,kind,giveaway_id,chat_id,method,payload,next_at,created_at)
+    VALUES (?,?,?,?,?,?,?,?)
+  `).run(key, kind, giveawayId, payload.chat_id, method, JSON.stringify(payload), now, now).changes > 0;
+}
+
+function queueMessage(key, chatId, text, extra = {}, opts = {}) {
+  return enqueueOutbox(key, "sendMessage", { chat_id: chatId, text, ...extra }, opts);
+}
+
+// 15s, 30s, 1m, 2m ... tối đa 1 giờ
+function outboxBackoff(attempts) {
+  return Math.min(3600, 15 * 2 ** (attempts - 1));
+}
+
+// -> true nếu đã gửi (hoặc không cần gửi nữa)
+async function deliverOutboxItem(m) {
+  const now = dayjs().unix();
+  try {
+    await bot.telegram.callApi(m.method, JSON.parse(m.payload));
+  } catch (err) {
+    const desc = err?.response?.description || String(err?.message || err);
+    if (!/message is not modified/.test(desc)) {
+      const retryAfter = err?.response?.parameters?.retry_after;
+      const attempts = retryAfter ? m.attempts : m.attempts + 1;
+      // 400 / 403 (chat không tồn tại, bị chặn, user chưa /start bot): thử lại không tự khỏi -> chờ /outbox retry
+      const permanent = [400, 403].includes(err?.response?.error_code);
+      const failed = permanent || attempts >= OUTBOX_MAX_ATTEMPTS;
+      db.prepare(`UPDATE outbox SET status=?, attempts=?, next_at=?, last_error=? WHERE id=?`)
+        .run(failed ? "failed" : "pending", attempts, now + (retryAfter || outboxBackoff(attempts)), desc.slice(0, 300), m.id);
+      metrics.sendFailures.outbox++;
+      console.error("OUTBOX_SEND_FAIL", m.key, desc);
+      return false;
+    }
+  }
+  db.transaction(() => {
+    db.prepare(`UPDATE outbox SET status='sent', sent_at=?, last_error=NULL WHERE id=?`).run(now, m.id);
+    if (m.kind === "result") {
+      db.prepare(`UPDATE giveaway_chats SET announced=1 WHERE giveaway_id=? AND chat_id=?`).run(m.giveaway_id, m.chat_id);
+    }
+  })();
+  return true;
+}
+
+// 1 worker tại 1 thời điểm; gọi trong lúc đang chạy -> chạy thêm 1 vòng sau khi xong
+let deliveringOutbox = false;
+let outboxAgain = false;
+
+async function deliverOutbox() {
+  if (deliveringOutbox) {
+    outboxAgain = true;
+    return;
+  }
+  deliveringOutbox = true;
+  try {
+    do {
+      outboxAgain = false;
+      const due = db.prepare(`
+        SELECT * FROM outbox WHERE status='pending' AND next_at <= ? ORDER BY id ASC LIMIT ?
+      `).all(dayjs().unix(), OUTBOX_BATCH);
+      // 1 tin lỗi -> các tin sau cùng chat chờ lượt sau (giữ thứ tự: sửa post hủy trước thông báo hủy)
+      const blocked = new Set();
+      for (const m of due) {
+        if (blocked.has(m.chat_id)) continue;
+        tickBeat();
+        if (!(await deliverOutboxItem(m))) blocked.add(m.chat_id);
+      }
+      if (due.length === OUTBOX_BATCH) outboxAgain = true;
+    } while (outboxAgain);
+  } finally {
+    deliveringOutbox = false;
+  }
+}
+
+// gửi ngay sau khi enqueue (không chờ tick)
+function kickOutbox() {
+  deliverOutbox().catch(err => console.error("OUTBOX_FAIL", err));
+}
+
+function buildOutboxText(lang) {
+  const now = dayjs().unix();
+  const counts = { pending: 0, sent: 0, failed: 0 };
+  for (const r of db.prepare(`SELECT status, COUNT(*) AS n FROM outbox GROUP BY status`).all()) counts[r.status] = r.n;
+
+  const stuck = db.prepare(`
+    SELECT * FROM outbox
+    WHERE status='failed' OR (status='pending' AND (attempts > 0 OR next_at <= ?))
+    ORDER BY id DESC LIMIT ?
+  `).all(now - OUTBOX_STUCK_SECONDS, OUTBOX_LIST_MAX);
+
+  let text = `${t(lang, "outbox_title")}\n${t(lang, "outbox_counts", counts)}\n\n`;
+  if (!stuck.length) return text + t(lang, "outbox_empty");
+  for (const m of stuck) {
+    const params = { id: m.id, key: escHtml(m.key), chat: m.chat_id, attempts: m.attempts, time: fmtUnix(m.next_at, lang) };
+    text += `${t(lang, m.status === "failed" ? "outbox_row_failed" : "outbox_row_pending", params)}\n`;
+    if (m.last_error) text += `   <i>${escHtml(m.last_error)}</i>\n`;
+  }
+  return text + `\n${t(lang, "outbox_hint")}`;
+}
+
+// /outbox — tin kẹt (thất bại / đang retry); /outbox retry <id|all> — gửi lại ngay
+bot.command("outbox", ctx => {
+  if (!can(ctx.from.id, "settings")) return;
+  const lang = ctxLang(ctx);
+  const parts = (ctx.message.text || "").trim().split(/\s+/);
+  if (!parts[1]) return ctx.reply(buildOutboxText(lang), { parse_mode: "HTML" });
+
+  const target = (parts[2] || "").toLowerCase();
+  const id = Number(target);
+  if (parts[1].toLowerCase() !== "retry" || (target !== "all" && !Number.isInteger(id))) return ctx.reply(t(lang, "usage_outbox"));
+
+  const now = dayjs().unix();
+  const n = target === "all"
+    ? db.prepare(`UPDATE outbox SET status='pending', attempts=0, next_at=? WHERE status='failed'`).run(now).changes
+    : db.prepare(`UPDATE outbox SET status='pending', attempts=0, next_at=? WHERE id=? AND status<>'sent'`).run(now, id).changes;
+  if (!n) return ctx.reply(t(lang, "outbox_retry_none"));
+
+  kickOutbox();
+  return ctx.reply(t(lang, "outbox_retried", { n }));
+});
+
+// ---------------- Export (CSV / JSON) ----------------
+// JSON = bundle của verify.js (node verify.js giveaway-<id>.json tính lại pickWinnersDeterministic)
+const EXPORT_MAX_GIVEAWAYS = 500;
+
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  let s = String(v);
+  // chặn công thức khi mở bằng Excel / Sheets (tên user "=HYPERLINK(...)")
+  if (typeof v === "string" && /^[=+\-@]/.test(s) && !/^-?\d+$/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(rows) {
+  return rows.map(r => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+function csvTime(unixTs) {
+  return unixTs ? dayjs.unix(unixTs).tz(TZ).format("YYYY-MM-DD HH:mm:ss") : "";
+}
+
+// 2 phần: proof (field,value) + bảng người tham gia (kể cả bị loại) kèm rank / hạng của winner
+function buildGiveawayCsv(b) {
+  const rows = [
+    ["field", "value"],
+    ["giveaway_id", b.id],
+    ["prize", b.prize],
+    ["sponsor", b.sponsor],
+    ["status", b.status],
+    ["chats", b.chats.join(" ")],
+    ["created_at", csvTime(b.created_at)],
+    ["start_time", csvTime(b.start_time)],
+    ["end_time", csvTime(b.end_time)],
+    ["ended_at", csvTime(b.ended_at)],
+    ["winners", b.winners],
+    ["tiers", b.tiers.map(tr => `${tr.position}:${tr.winners}x ${tr.label}`).join("; ")],
+    ["seed_hash", b.seed_hash],
+    ["seed", b.seed],
+    ["participants_hash", b.participants_hash],
+    [],
+    ["user_id", "name", "joined_at", "tickets", "eligible", "excluded_reason", "winner_rank", "tier", "winner_status"]
+  ];
+  const won = new Map(b.results.map(w => [w.user_id, w]));
+  for (const p of b.participants) {
+    const w = won.get(p.user_id);
+    rows.push([p.user_id, p.name, csvTime(p.joined_at), ticketsOf(p), "yes", "", w?.rank_pos, w?.tier, w?.status]);
+  }
+  for (const p of b.excluded) rows.push([p.user_id, p.name, csvTime(p.joined_at), ticketsOf(p), "no", p.reason, "", "", ""]);
+  return toCsv(rows);
+}
+
+// báo cáo nhiều giveaway (sponsor): 1 dòng / giveaway
+function buildBulkCsv(bundles) {
+  const rows = [[
+    "giveaway_id", "prize", "sponsor", "status", "chats", "created_at", "end_time", "participants", "tickets",
+    "excluded", "winners", "claimed", "winner_ids", "seed_hash", "seed", "participants_hash"
+  ]];
+  for (const b of bundles) {
+    const active = b.results.filter(w => !["expired", "replaced"].includes(w.status));
+    rows.push([
+      b.id, b.prize, b.sponsor, b.status, b.chats.join(" "), csvTime(b.created_at), csvTime(b.end_time),
+      b.participants.length, b.participants.reduce((sum, p) => sum + ticketsOf(p), 0), b.excluded.length,
+      active.length, b.results.filter(w => w.status === "claimed").length, active.map(w => w.user_id).join(" "),
+      b.seed_hash, b.seed, b.participants_hash
+    ]);
+  }
+  return toCsv(rows);
+}
+
+// ---------------- Stats ----------------
+// tính trực tiếp từ giveaways / participants / winners (index: xem db.js); giveaway đã hủy không tính
+const STATS_TOP = 10;
+const STATS_MONTHS = 6;
+const STATS_REPORT_ROWS = 20;
+const ACTIVE_WINNER = "status NOT IN ('expired','replaced')"; // winner còn hiệu lực
+
+function fmtNum(n, digits = 0) {
+  return Number(n || 0).toFixed(digits).replace(/\.0+$/, "");
+}
+
+function growthText(cur, prev) {
+  if (!prev) return "";
+  const p = Math.round(((cur - prev) / prev) * 100);
+  return ` (${p >= 0 ? "+" : ""}${p}%)`;
+}
+
+function buildStatsText(lang) {
+  const g = db.prepare(`
+    SELECT COUNT(*) AS total,
+           COALESCE(SUM(canceled = 0 AND ended = 1), 0) AS drawn,
+           COALESCE(SUM(canceled = 0 AND ended = 0), 0) AS running,
+           COALESCE(SUM(canceled = 1), 0) AS canceled
+    FROM giveaways
+  `).get();
+  const p = db.prepare(`
+    SELECT COUNT(*) AS entries, COUNT(DISTINCT p.user_id) AS users
+    FROM participants p JOIN giveaways g ON g.id = p.giveaway_id WHERE g.canceled = 0
+  `).get();
+  const avg = db.prepare(`
+    SELECT AVG((SELECT COUNT(*) FROM participants p WHERE p.giveaway_id = g.id)) AS avg
+    FROM giveaways g WHERE g.ended = 1 AND g.canceled = 0
+  `).get().avg;
+  const w = db.prepare(`
+    SELECT COUNT(*) AS won, COALESCE(SUM(status = 'claimed'), 0) AS claimed FROM winners WHERE ${ACTIVE_WINNER}
+  `).get();
+
+  let text = `${t(lang, "stats_title")}\n\n`;
+  text += `${t(lang, "stats_giveaways", g)}\n`;
+  text += `${t(lang, "stats_entries", p)}\n`;
+  text += `${t(lang, "stats_avg", { avg: fmtNum(avg, 1) })}\n`;
+  text += `${t(lang, "stats_winners", w)}\n`;
+
+  // theo tháng (giờ TZ), giveaway đã quay
+  const start = dayjs().tz(TZ).startOf("month").subtract(STATS_MONTHS - 1, "month");
+  const byMonth = new Map(db.prepare(`
+    SELECT strftime('%Y-%m', g.end_time + ?, 'unixepoch') AS month,
+           COUNT(*) AS giveaways,
+           SUM((SELECT COUNT(*) FROM participants p WHERE p.giveaway_id = g.id)) AS entries
+    FROM giveaways g
+    WHERE g.ended = 1 AND g.canceled = 0 AND g.end_time >= ?
+    GROUP BY month
+  `).all(start.utcOffset() * 60, start.unix()).map(r => [r.month, r]));
+  text += `\n${t(lang, "stats_growth")}\n`;
+  let prev = null;
+  for (let i = 0; i < STATS_MONTHS; i++) {
+    const m = start.add(i, "month");
+    const r = byMonth.get(m.format("YYYY-MM")) || { giveaways: 0, entries: 0 };
+    text += `${t(lang, "stats_month", { month: m.format("MM/YYYY"), n: r.giveaways, entries: r.entries })}${prev ? growthText(r.entries, prev.entries) : ""}\n`;
+    prev = r;
+  }
+
+  const top = db.prepare(`
+    SELECT p.user_id, MAX(p.name) AS name, COUNT(*) AS entries,
+           (SELECT COUNT(*) FROM winners w WHERE w.user_id = p.user_id AND w.${ACTIVE_WINNER}) AS wins
+    FROM participants p JOIN giveaways g ON g.id = p.giveaway_id
+    WHERE g.canceled = 0
+    GROUP BY p.user_id ORDER BY entries DESC, p.user_id ASC LIMIT ?
+  `).all(STATS_TOP);
+  text += `\n${t(lang, "stats_top")}\n`;
+  if (!top.length) text += `${t(lang, "empty_list")}\n`;
+  top.forEach((r, i) => {
+    text += `${i + 1}. ${escHtml(r.name)} (<code>${r.user_id}</code>) — ${t(lang, "stats_top_row", { entries: r.entries, wins: r.wins })}\n`;
+  });
+
+  const repeat = db.prepare(`
+    SELECT user_id, MAX(name) AS name, COUNT(*) AS wins FROM winners WHERE ${ACTIVE_WINNER}
+    GROUP BY user_id HAVING COUNT(*) >= 2 ORDER BY wins DESC, user_id ASC
+  `).all();
+  text += `\n${t(lang, "stats_repeat", { n: repeat.length })}\n`;
+  for (const r of repeat.slice(0, STATS_TOP)) {
+    text += `• ${escHtml(r.name)} (<code>${r.user_id}</code>) — ${t(lang, "stats_repeat_row", { wins: r.wins })}\n`;
+  }
+
+  const sponsors = db.prepare(`
+    SELECT g.sponsor, COUNT(*) AS giveaways,
+           (SELECT COUNT(DISTINCT p.user_id) FROM participants p JOIN giveaways g2 ON g2.id = p.giveaway_id
+            WHERE g2.canceled = 0 AND g2.sponsor = g.sponsor COLLATE NOCASE) AS reach,
+           SUM((SELECT COUNT(*) FROM winners w WHERE w.giveaway_id = g.id AND w.${ACTIVE_WINNER})) AS winners
+    FROM giveaways g WHERE g.canceled = 0
+    GROUP BY g.sponsor COLLATE NOCASE ORDER BY giveaways DESC, reach DESC LIMIT ?
+  `).all(STATS_TOP);
+  text += `\n${t(lang, "stats_sponsors")}\n`;
+  if (!sponsors.length) text += `${t(lang, "empty_list")}\n`;
+  for (const r of sponsors) {
+    text += `• ${escHtml(r.sponsor)} — ${t(lang, "stats_sponsor_row", { n: r.giveaways, reach: r.reach, winners: r.winners })}\n`;
+  }
+  text += `\n${t(lang, "stats_sponsor_hint")}`;
+  return text;
+}
+
+// báo cáo gửi (forward) cho nhà tài trợ: không có user_id, chỉ tên winner đã công bố
+function buildSponsorReport(name, lang) {
+  const bare = name.replace(/^@/, "");
+  const gs = db.prepare(`
+    SELECT g.id, g.prize, g.sponsor, g.end_time, g.ended,
+           (SELECT COUNT(*) FROM participants p WHERE p.giveaway_id = g.id) AS joined
+    FROM giveaways g
+    WHERE g.canceled = 0 AND (g.sponsor = ? COLLATE NOCASE OR g.sponsor = ? COLLATE NOCASE)
+    ORDER BY g.end_time ASC
+  `).all(bare, `@${bare}`);
+  if (!gs.length) return null;
+
+  const ids = gs.map(g => g.id);
+  const marks = ids.map(() => "?").join(",");
+  const users = db.prepare(`SELECT COUNT(DISTINCT user_id) AS c FROM participants WHERE giveaway_id IN (${marks})`).get(...ids).c;
+  const w = db.prepare(`
+    SELECT COUNT(*) AS won, COALESCE(SUM(status = 'claimed'), 0) AS claimed
+    FROM winners WHERE giveaway_id IN (${marks}) AND ${ACTIVE_WINNER}
+  `).get(...ids);
+  const drawn = gs.filter(g => g.ended);
+  const entries = gs.reduce((sum, g) => sum + g.joined, 0);
+
+  let text = `${t(lang, "report_title", { sponsor: escHtml(gs[0].sponsor) })}\n`;
+  text += `${t(lang, "report_period", { from: fmtUnix(gs[0].end_time, lang), to: fmtUnix(gs[gs.length - 1].end_time, lang) })}\n\n`;
+  text += `${t(lang, "report_giveaways", { n: gs.length, drawn: drawn.length })}\n`;
+  text += `${t(lang, "stats_entries", { entries, users })}\n`;
+  text += `${t(lang, "stats_avg", { avg: fmtNum(drawn.reduce((sum, g) => sum + g.joined, 0) / (drawn.length || 1), 1) })}\n`;
+  text += `${t(lang, "stats_winners", w)}\n\n`;
+
+  const winnersOf = db.prepare(`SELECT name FROM winners WHERE giveaway_id=? AND ${ACTIVE_WINNER} ORDER BY rowid ASC`);
+  for (const g of gs.slice(-STATS_REPORT_ROWS)) {
+    const names = winnersOf.all(g.id).map(r => escHtml(r.name)).join(", ");
+    text += `#${g.id} — ${escHtml(g.prize)} — ${fmtUnix(g.end_time, lang)} — 👥 ${g.joined}` +
+      (g.ended ? ` — 🏆 ${names || t(lang, "none")}` : ` — ${t(lang, "status_running")}`) + "\n";
+  }
+  if (gs.length > STATS_REPORT_ROWS) text += t(lang, "proof_more", { n: gs.length - STATS_REPORT_ROWS });
+  return text;
+}
+
+// /stats | /stats sponsor <tên> (DM)
+bot.command("stats", ctx => {
+  if (!can(ctx.from.id, "manage")) return;
+  const lang = ctxLang(ctx);
+  if (ctx.chat.type !== "private") return ctx.reply(t(lang, "dm_only", { cmd: "/stats" }));
+
+  const parts = (ctx.message.text || "").trim().split(/\s+/);
+  if (!parts[1]) return ctx.reply(buildStatsText(lang), { parse_mode: "HTML" });
+
+  const name = parts.slice(2).join(" ").trim();
+  if (parts[1].toLowerCase() !== "sponsor" || !name) return ctx.reply(t(lang, "usage_stats"));
+  const report = buildSponsorReport(name, lang);
+  return ctx.reply(report || t(lang, "report_not_found", { sponsor: escHtml(name) }), { parse_mode: "HTML" });
+});
+
+// ---------------- Blacklist + anti-fraud ----------------
+// kiểm tra khi bấm Tham gia và lần nữa lúc quay (excludeIneligible); người bị loại hiện trong proof DM cho admin
+const PROOF_LIST_MAX = 20;
+
+function getAntiFraud() {
+  const [burstN, burstSec] = (getSetting("af_burst") || "").split(":").map(Number);
+  return {
+    username: getSetting("af_username") === "1",
+    photo: getSetting("af_photo") === "1",
+    burstN: burstN || 0,
+    burstSec: burstSec || 0,
+    mode: getSetting("af_mode") === "exclude" ? "exclude" : "flag"
+  };
+}
+
+function getCooldown() {
+  return {
+    days: Math.max(0, Number(getSetting("cooldown_days") || 0)),
+    giveaways: Math.max(0, Number(getSetting("cooldown_giveaways") || 0))
+  };
+}
+
+function cooldownText(lang) {
+  const cd = getCooldown();
+  const rules = [];
+  if (cd.days) rules.push(t(lang, "cooldown_days", { n: cd.days }));
+  if (cd.giveaways) rules.push(t(lang, "cooldown_giveaways", { n: cd.giveaways }));
+  return rules.length ? rules.join(" / ") : t(lang, "cooldown_off");
+}
+
+// blacklist toàn bộ (chat_id 0) hoặc của 1 group giveaway được đăng
+function findBan(userId, chatIds) {
+  return db.prepare(`
+    SELECT chat_id, reason FROM blacklist
+    WHERE user_id=? AND chat_id IN (0${",?".repeat(chatIds.length)})
+    ORDER BY chat_id = 0 DESC LIMIT 1
+  `).get(userId, ...chatIds) || null;
+}
+
+// đã thắng (pending / claimed) trong N ngày hoặc N giveaway gần nhất, không tính giveaway đang xét
+function inCooldown(userId, gid, now) {
+  const cd = getCooldown();
+  if (cd.days && db.prepare(`
+    SELECT 1 FROM winners w JOIN giveaways g ON g.id = w.giveaway_id
+    WHERE w.user_id=? AND w.giveaway_id<>? AND w.status IN ('pending','claimed') AND g.ended_at >= ?
+  `).get(userId, gid, now - cd.days * 86400)) return true;
+
+  return !!(cd.giveaways && db.prepare(`
+    SELECT 1 FROM winners
+    WHERE user_id=? AND status IN ('pending','claimed') AND giveaway_id IN (
+      SELECT id FROM giveaways WHERE ended=1 AND canceled=0 AND id<>? ORDER BY ended_at DESC LIMIT ?
+    )
+  `).get(userId, gid, cd.giveaways));
+}
+
+// -> null hoặc { key, params } (từ chối tham gia)
+function checkEligibility(gid, userId, chatIds, now, lang) {
+  const ban = findBan(userId, chatIds);
+  if (ban) return { key: "join_banned", params: { reason: ban.reason || "-" } };
+  if (inCooldown(userId, gid, now)) return { key: "join_cooldown", params: { rule: cooldownText(lang) } };
+  return null;
+}
+
+// heuristics: không username / không ảnh đại diện / nhiều lượt tham gia dồn trong vài giây
+async function fraudFlags(ctx, gid, now) {
+  const af = getAntiFraud();
+  const flags = [];
+  if (af.username && !ctx.from.username) flags.push("no_username");
+  if (af.photo) {
+    try {
+      const r = await ctx.telegram.getUserProfilePhotos(ctx.from.id, 0, 1);
+      if (!r?.total_count) flags.push("no_photo");
+    } catch {}
+  }
+  if (af.burstN) {
+    const recent = db.prepare(`SELECT COUNT(*) AS c FROM participants WHERE giveaway_id=? AND joined_at > ?`)
+      .get(gid, now - af.burstSec).c;
+    if (recent + 1 >= af.burstN) flags.push("burst");
+  }
+  return flags;
+}
+
+// lúc quay, trước khi chốt participants_hash: blacklist / cooldown / bị gắn cờ (mode exclude) -> excluded_entries
+function excludeIneligible(g, now) {
+  const chatIds = giveawayChats(g.id).map(c => c.chat_id);
+  const excludeFlagged = getAntiFraud().mode === "exclude";
+  const out = [];
+  for (const p of db.prepare(`
+    SELECT user_id, name, weight, joined_at, flags FROM participants WHERE giveaway_id=? AND joined_at < ?
+  `).all(g.id, g.end_time)) {
+    const reason = findBan(p.user_id, chatIds) ? "banned"
+      : inCooldown(p.user_id, g.id, now) ? "cooldown"
+      : excludeFlagged && p.flags ? "suspicious"
+      : null;
+    if (reason) out.push({ ...p, reason });
+  }
+  for (const p of out) excludeParticipant(g.id, p, p.reason, now);
+}
+
+// participants -> excluded_entries (số người tham gia công khai chỉ đếm participants)
+const excludeParticipant = db.transaction((gid, p, reason, now) => {
+  db.prepare(`
+    INSERT OR REPLACE INTO excluded_entries(giveaway_id,user_id,name,weight,joined_at,reason,created_at) VALUES (?,?,?,?,?,?,?)
+  `).run(gid, p.user_id, p.name, p.weight, p.joined_at ?? null, reason, now);
+  db.prepare(`DELETE FROM participants WHERE giveaway_id=? AND user_id=?`).run(gid, p.user_id);
+});
+
+function flagsText(flags, lang) {
+  return String(flags).split(",").map(f => t(lang, `flag_${f}`)).join(", ");
+}
+
+// proof DM: người bị loại lúc quay + người bị gắn cờ
+function buildExclusionsText(g, lang) {
+  const excluded = db.prepare(`
+    SELECT user_id, name, reason FROM excluded_entries WHERE giveaway_id=? ORDER BY rowid ASC
+  `).all(g.id);
+  const flagged = db.prepare(`
+    SELECT user_id, name, flags FROM participants WHERE giveaway_id=? AND flags IS NOT NULL ORDER BY joined_at ASC
+  `).all(g.id);
+
+  let text = "";
+  const list = (title, rows, note) => {
+    text += `\n\n${title}`;
+    for (const r of rows.slice(0, PROOF_LIST_MAX)) {
+      text += `\n• ${escHtml(r.name)} (<code>${r.user_id}</code>) — ${note(r)}`;
+    }
+    if (rows.length > PROOF_LIST_MAX) text += `\n${t(lang, "proof_more", { n: rows.length - PROOF_LIST_MAX })}`;
+  };
+  if (excluded.length) list(t(lang, "proof_excluded", { n: excluded.length }), excluded, r => t(lang, `excluded_${r.reason}`));
+  if (flagged.length) list(t(lang, "proof_flagged", { n: flagged.length }), flagged, r => flagsText(r.flags, lang));
+  return text;
+}
+
+// /ban <user_id> [#group] [lý do] | /unban <user_id> [#group] — không có #group = mọi giveaway
+bot.command(["ban", "unban"], ctx => {
+  if (!can(ctx.from.id, "manage")) return;
+  const lang = ctxLang(ctx);
+  const cmd = getCmd(ctx);
+  const parts = (ctx.message.text || "").trim().split(/\s+/);
+  const userId = Number(parts[1] || "");
+  if (!Number.isInteger(userId) || userId <= 0) return ctx.reply(t(lang, `usage_${cmd.slice(1)}`));
+
+  let rest = parts.slice(2);
+  let chatId = 0;
+  if (/^#\d+$/.test(rest[0] || "")) {
+    chatId = db.prepare(`SELECT chat_id FROM groups WHERE id=?`).get(Number(rest[0].slice(1)))?.chat_id;
+    if (!chatId) return ctx.reply(t(lang, "group_not_found"));
+    rest = rest.slice(1);
+  }
+  const scope = chatId ? escHtml(groupName(chatId)) : t(lang, "ban_scope_all");
+
+  if (cmd === "/unban") {
+    const r = db.prepare(`DELETE FROM blacklist WHERE user_id=? AND chat_id=?`).run(userId, chatId);
+    return ctx.reply(t(lang, r.changes ? "unban_done" : "unban_not_found", { user: userId, scope }), { parse_mode: "HTML" });
+  }
+
+  db.prepare(`
+    INSERT INTO blacklist(user_id,chat_id,reason,added_by,created_at) VALUES (?,?,?,?,?)
+    ON CONFLICT(user_id,chat_id) DO UPDATE SET reason=excluded.reason, added_by=excluded.added_by, created_at=excluded.created_at
+  `).run(userId, chatId, rest.join(" ").trim() || null, ctx.from.id, dayjs().unix());
+  return ctx.reply(t(lang, "ban_done", { user: userId, scope }), { parse_mode: "HTML" });
+});
+
+// /banlist [#group]
+bot.command("banlist", ctx => {
+  if (!can(ctx.from.id, "manage")) return;
+  const lang = ctxLang(ctx);
+  const arg = ((ctx.message.text || "").trim().split(/\s+/)[1] || "").replace(/^#/, "");
+  let chatId = null;
+  if (arg) {
+    chatId = db.prepare(`SELECT chat_id FROM groups WHERE id=?`).get(Number(arg))?.chat_id;
+    if (!chatId) return ctx.reply(t(lang, "group_not_found"));
+  }
+
+  const rows = db.prepare(`
+    SELECT user_id, chat_id, reason, added_by, created_at FROM blacklist
+    ${chatId ? "WHERE chat_id IN (0, ?)" : ""}
+    ORDER BY created_at DESC LIMIT 50
+  `).all(...(chatId ? [chatId] : []));
+
+  let text = `${t(lang, "banlist_title")}\n\n`;
+  if (!rows.length) text += t(lang, "empty_list");
+  for (const r of rows) {
+    text += `🚫 <code>${r.user_id}</code> — ${r.chat_id ? escHtml(groupName(r.chat_id)) : t(lang, "ban_scope_all")}\n`;
+    text += `   ${escHtml(r.reason || "-")} | ${t(lang, "admins_added_by", { user: r.added_by, time: fmtUnix(r.created_at, lang) })}\n`;
+  }
+  return ctx.reply(text, { parse_mode: "HTML" });
+});
+
+// /cooldown [days <n> | giveaways <n> | off]
+bot.command("cooldown", ctx => {
+  if (!can(ctx.from.id, "settings")) return;
+  const lang = ctxLang(ctx);
+  const parts = (ctx.message.text || "").trim().split(/\s+/);
+  const kind = (parts[1] || "").toLowerCase();
+  const n = Number(parts[2] || "");
+
+  if (kind === "off") {
+    setSetting("cooldown_days", 0);
+    setSetting("cooldown_giveaways", 0);
+  } else if (kind === "days" || kind === "giveaways") {
+    if (!Number.isInteger(n) || n < 0) return ctx.reply(t(lang, "usage_cooldown"));
+    setSetting(`cooldown_${kind}`, n);
+  } else if (kind) {
+    return ctx.reply(t(lang, "usage_cooldown"));
+  }
+  return ctx.reply(t(lang, "cooldown_current", { rule: cooldownText(lang) }));
+});
+
+// /antifraud [username|photo on|off | burst <n> <giây> | burst off | mode flag|exclude]
+bot.command("antifraud", ctx => {
+  if (!can(ctx.from.id, "settings")) return;
+  const lang = ctxLang(ctx);
+  const parts = (ctx.message.text || "").trim().split(/\s+/);
+  const kind = (parts[1] || "").toLowerCase();
+  const value = (parts[2] || "").toLowerCase();
+
+  if ((kind === "username" || kind === "photo") && ["on", "off"].includes(value)) {
+    setSetting(`af_${kind}`, value === "on" ? 1 : 0);
+  } else if (kind === "burst" && value === "off") {
+    setSetting("af_burst", "");
+  } else if (kind === "burst") {
+    const n = Number(parts[2] || "");
+    const sec = Number(parts[3] || "");
+    if (!Number.isInteger(n) || n < 2 || !Number.isInteger(sec) || sec < 1) return ctx.reply(t(lang, "usage_antifraud"));
+    setSetting("af_burst", `${n}:${sec}`);
+  } else if (kind === "mode" && ["flag", "exclude"].includes(value)) {
+    setSetting("af_mode", value);
+  } else if (kind) {
+    return ctx.reply(t(lang, "usage_antifraud"));
+  }
+
+  const af = getAntiFraud();
+  const onOff = v => t(lang, v ? "af_on" : "af_off");
+  return ctx.reply(t(lang, "af_current", {
+    username: onOff(af.username),
+    photo: onOff(af.photo),
+    burst: af.burstN ? t(lang, "af_burst", { n: af.burstN, sec: af.burstSec }) : t(lang, "af_off"),
+    mode: t(lang, `af_mode_${af.mode}`)
+  }), { parse_mode: "HTML" });
+});
+
+// ---------------- Entry requirements ----------------
+// member / tenure kiểm tra ngay khi bấm Tham gia; captcha / question làm trong DM (deep link /start v<id>), trả lời bằng tin nhắn
+const ENTRY_DM_KINDS = ["captcha", "question"];
+const ENTRY_MAX_ATTEMPTS = 3;
+const ENTRY_LOCK_SECONDS = 10 * 60; // khóa lần đầu, mỗi lần khóa tiếp theo x2
+const ENTRY_LOCK_MAX_SECONDS = 24 * 3600;
+const ENTRY_CHALLENGE_SECONDS = 30 * 60;
+
+function getEntryRules(gid) {
+  return db.prepare(`
+    SELECT kind, chat_id, question, answer, seconds FROM entry_rules WHERE giveaway_id=? ORDER BY rowid ASC
+  `).all(gid);
+}
+
+function fmtHours(seconds) {
+  return String(Math.round(seconds / 360) / 10);
+}
+
+function entryRuleLine(r, lang) {
+  if (r.kind === "member") return t(lang, "require_member", { chat: escHtml(r.chat_id) });
+  if (r.kind === "tenure") return t(lang, "require_tenure", { hours: fmtHours(r.seconds) });
+  if (r.kind === "question") return t(lang, "require_question", { question: escHtml(r.question), answer: escHtml(r.answer) });
+  return t(lang, "require_captcha");
+}
+
+function hasPassedEntry(gid, userId, kind) {
+  return !!db.prepare(`SELECT 1 FROM entry_passes WHERE giveaway_id=? AND user_id=? AND kind=?`).get(gid, userId, kind);
+}
+
+function nextEntryChallenge(gid, userId) {
+  return getEntryRules(gid).find(r => ENTRY_DM_KINDS.includes(r.kind) && !hasPassedEntry(gid, userId, r.kind)) || null;
+}
+
+// -> null nếu đạt mọi điều kiện, ngược lại { key, params, verify } (verify = cần mở DM bot)
+async function checkEntryRules(ctx, g, chatIds) {
+  const userId = ctx.from.id;
+  const rules = getEntryRules(g.id);
+
+  for (const r of rules.filter(r => r.kind === "member")) {
+    if (!(await isGroupMember(ctx, r.chat_id, userId))) return { key: "req_member", params: { chat: r.chat_id } };
+  }
+
+  const tenure = rules.find(r => r.kind === "tenure");
+  if (tenure) {
+    const since = db.prepare(`
+      SELECT MIN(first_seen) AS t FROM member_since WHERE user_id=? AND chat_id IN (${chatIds.map(() => "?").join(",")})
+    `).get(userId, ...chatIds).t;
+    const hours = fmtHours(tenure.seconds);
+    if (since == null) return { key: "req_tenure_unknown", params: { hours } };
+    const have = dayjs().unix() - since;
+    if (have < tenure.seconds) return { key: "req_tenure", params: { hours, have: fmtHours(have) } };
+  }
+
+  if (nextEntryChallenge(g.id, userId)) return { key: "req_verify", params: {}, verify: true };
+  return null;
+}
+
+function setEntryChallenge(userId, gid, kind, expected) {
+  db.prepare(`
+    INSERT INTO entry_challenges(user_id,giveaway_id,kind,expected,attempts,expires_at) VALUES (?,?,?,?,0,?)
+    ON CONFLICT(user_id) DO UPDATE SET
+      attempts=CASE WHEN giveaway_id=excluded.giveaway_id THEN attempts ELSE 0 END,
+      giveaway_id=excluded.giveaway_id, kind=excluded.kind, expected=excluded.expected, expires_at=excluded.expires_at
+  `).run(userId, gid, kind, String(expected), dayjs().unix() + ENTRY_CHALLENGE_SECONDS);
+}
+
+function getEntryChallenge(userId, kind) {
+  return db.prepare(`SELECT * FROM entry_challenges WHERE user_id=? AND kind=? AND expires_at>?`)
+    .get(userId, kind, dayjs().unix()) || null;
+}
+
+// sai -> tăng attempts; quá ENTRY_MAX_ATTEMPTS -> khóa, lần sau khóa lâu gấp đôi (đoán bừa không có lợi). Trả về locked_until hoặc null
+function failEntryChallenge(ch) {
+  const attempts = ch.attempts + 1;
+  if (attempts < ENTRY_MAX_ATTEMPTS) {
+    db.prepare(`UPDATE entry_challenges SET attempts=? WHERE user_id=?`).run(attempts, ch.user_id);
+    return null;
+  }
+  const locks = (ch.locks || 0) + 1;
+  const lockedUntil = dayjs().unix() + Math.min(ENTRY_LOCK_MAX_SECONDS, ENTRY_LOCK_SECONDS * 2 ** (locks - 1));
+  db.prepare(`UPDATE entry_challenges SET kind='locked', expected=NULL, attempts=0, locks=?, locked_until=? WHERE user_id=?`)
+    .run(locks, lockedUntil, ch.user_id);
+  return lockedUntil;
+}
+
+function passEntryChallenge(ch) {
+  db.prepare(`INSERT OR IGNORE INTO entry_passes(giveaway_id,user_id,kind,passed_at) VALUES (?,?,?,?)`)
+    .run(ch.giveaway_id, ch.user_id, ch.kind, dayjs().unix());
+  db.prepare(`DELETE FROM entry_challenges WHERE user_id=?`).run(ch.user_id);
+}
+
+// nhập kết quả (không có nút chọn để bấm bừa)
+function sendCaptcha(ctx, gid, lang, prefix = "") {
+  const a = 2 + Math.floor(Math.random() * 18);
+  const b = 2 + Math.floor(Math.random() * 18);
+  setEntryChallenge(ctx.from.id, gid, "captcha", a + b);
+  return ctx.reply(prefix + t(lang, "req_captcha", { id: gid, a, b }), { parse_mode: "HTML" });
+}
+
+// DM: thử thách kế tiếp, hoặc nút Tham gia khi đã vượt qua hết
+async function continueEntryVerify(ctx, gid, prefix = "") {
+  const lang = ctxLang(ctx);
+  const g = db.prepare(`SELECT id, message_id, ended, canceled, end_time FROM giveaways WHERE id=?`).get(gid);
+  if (!g || !g.message_id || g.canceled || g.ended || dayjs().unix() >= g.end_time) {
+    return ctx.reply(prefix + t(lang, "ref_closed"));
+  }
+
+  const lock = db.prepare(`SELECT locked_until FROM entry_challenges WHERE user_id=?`).get(ctx.from.id);
+  if (lock?.locked_until > dayjs().unix()) {
+    return ctx.reply(prefix + t(lang, "req_locked", { time: fmtUnix(lock.locked_until, lang) }));
+  }
+
+  const next = nextEntryChallenge(gid, ctx.from.id);
+  if (!next) {
+    return ctx.reply(prefix + t(lang, "req_passed", { id: gid }),
+      Markup.inlineKeyboard([Markup.button.callback(t(lang, "btn_join"), `join_${gid}`)]));
+  }
+  if (next.kind === "captcha") return sendCaptcha(ctx, gid, lang, prefix);
+
+  setEntryChallenge(ctx.from.id, gid, "question", next.answer);
+  return ctx.reply(prefix + t(lang, "req_question", { id: gid, question: escHtml(next.question) }), { parse_mode: "HTML" });
+}
+
+function normalizeAnswer(s) {
+  return String(s || "").trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+// trả lời captcha / câu hỏi bằng tin nhắn thường trong DM (lệnh / form đi trước)
+bot.on("text", async (ctx, next) => {
+  if (ctx.chat.type !== "private" || (ctx.message.text || "").startsWith("/")) return next?.();
+  const ch = getEntryChallenge(ctx.from.id, "captcha") || getEntryChallenge(ctx.from.id, "question");
+  if (!ch) return next?.();
+
+  const lang = ctxLang(ctx);
+  if (normalizeAnswer(ctx.message.text) === normalizeAnswer(ch.expected)) {
+    passEntryChallenge(ch);
+    return continueEntryVerify(ctx, ch.giveaway_id, `${t(lang, "req_ok")}\n`);
+  }
+
+  const lockedUntil = failEntryChallenge(ch);
+  if (lockedUntil) return ctx.reply(t(lang, "req_locked", { time: fmtUnix(lockedUntil, lang) }));
+  const wrong = `${t(lang, "req_wrong", { left: ENTRY_MAX_ATTEMPTS - ch.attempts - 1 })}\n`;
+  if (ch.kind === "captcha") return sendCaptcha(ctx, ch.giveaway_id, lang, wrong);
+  return ctx.reply(wrong.trim());
+});
+
+// ---------------- Join button (member-only) ----------------
+bot.action(/^join_(\d+)$/, async ctx => {
+  const gid = Number(ctx.match[1]);
+  const lang = ctxLang(ctx);
+
+  const g = db.prepare(`
+    SELECT id, chat_id, message_id, prize, sponsor, winners, end_time, ended, canceled, paused, referral_cap
+    FROM giveaways WHERE id=?
+  `).get(gid);
+
+  if (!g) return ctx.answerCbQuery(t(lang, "join_not_found"), { show_alert: true });
+  if (g.canceled === 1) return ctx.answerCbQuery(t(lang, "join_canceled"), { show_alert: true });
+  if (!g.message_id) return ctx.answerCbQuery(t(lang, "join_not_started"), { show_alert: true });
+  if (g.paused) return ctx.answerCbQuery(t(lang, "join_paused"), { show_alert: true });
+
+  const now = dayjs().unix();
+  if (g.ended === 1 || now >= g.end_time) {
+    return ctx.answerCbQuery(t(lang, "join_closed"), { show_alert: true });
+  }
+
+  // giveaway chung: thành viên của group đang bấm (hoặc của 1 group bất kỳ nếu bấm từ DM)
+  const chats = giveawayChats(gid).map(c => c.chat_id);
+  const fromChat = ctx.callbackQuery.message?.chat?.id;
+  let ok = false;
+  for (const chatId of chats.includes(fromChat) ? [fromChat] : chats) {
+    if ((ok = await isGroupMember(ctx, chatId, ctx.from.id))) break;
+  }
+  if (!ok) return ctx.answerCbQuery(t(lang, "join_not_member"), { show_alert: true });
+
+  if (isParticipant(gid, ctx.from.id)) return ctx.answerCbQuery(t(lang, "join_already"), { show_alert: true });
+
+  const bad = checkEligibility(gid, ctx.from.id, chats, now, lang);
+  if (bad) return ctx.answerCbQuery(t(lang, bad.key, bad.params), { show_alert: true });
+
+  const req = await checkEntryRules(ctx, g, chats);
+  if (req) {
+    const username = ctx.botInfo?.username || bot.botInfo?.username;
+    if (req.verify && username) {
+      return ctx.answerCbQuery(t(lang, req.key, req.params), { url: `https://t.me/${username}?start=v${gid}` });
+    }
+    return ctx.answerCbQuery(t(lang, req.key, req.params), { show_alert: true });
+  }
+
+  const flags = await fraudFlags(ctx, gid, now);
+  if (flags.length && getAntiFraud().mode === "exclude") {
+    return ctx.answerCbQuery(t(lang, "join_suspicious", { flags: flagsText(flags, lang) }), { show_alert: true });
+  }
+
+  const tickets = clampTickets(1 + (await computeBonusTickets(ctx, g, ctx.from.id)));
+
+  const name = ctx.from.first_name || ctx.from.username || "User";
+  try {
+    db.transaction(() => {
+      db.prepare(`INSERT INTO participants(giveaway_id,user_id,name,joined_at,weight,flags) VALUES (?,?,?,?,?,?)`)
+        .run(gid, ctx.from.id, name, now, tickets, flags.join(",") || null);
+      emitEvent("joined", `joined:${gid}:${ctx.from.id}:${now}`, {
+        giveaway_id: gid,
+        user_id: ctx.from.id,
+        name,
+        tickets,
+        flags,
+        joined_at: now,
+        participants: db.prepare(`SELECT COUNT(*) AS c FROM participants WHERE giveaway_id=?`).get(gid).c
+      });
+    })();
+  } catch (err) {
+    // trùng khóa = bấm 2 lần cùng lúc; lỗi khác (event / webhook) không được giấu thành "đã tham gia"
+    if (err?.code === "SQLITE_CONSTRAINT_PRIMARYKEY" || err?.code === "SQLITE_CONSTRAINT_UNIQUE") {
+      return ctx.answerCbQuery(t(lang, "join_already"), { show_alert: true });
+    }
+    console.error("JOIN_FAIL", gid, ctx.from.id, err);
+    throw err;
+  }
+
+  // từng bị loại vì rời group, nay vào lại và bấm Tham gia
+  db.prepare(`DELETE FROM excluded_entries WHERE giveaway_id=? AND user_id=? AND reason='left'`).run(gid, ctx.from.id);
+
+  creditReferral(g, ctx.from.id);
+
+  metrics.joins++;
+  schedulePostUpdate(gid);
+
+  const joined = tickets > 1 ? t(lang, "join_ok_tickets", { n: tickets }) : t(lang, "join_ok");
+  return ctx.answerCbQuery(`${joined}\n${t(lang, "join_ref_hint", { id: gid })}`);
+});
+
+// ---------------- Claim window + deterministic reroll ----------------
+function claimKeyboard(gid, lang = DEFAULT_LANG) {
+  const username = bot.botInfo?.username;
+  if (!username) return {};
+  return Markup.inlineKeyboard([Markup.button.url(t(lang, "btn_claim"), `https://t.me/${username}?start=c${gid}`)]);
+}
+
+// hạn nhận quà tính từ lúc công bố (gọi trước khi announce lần đầu)
+function armClaimDeadlines(gid, now) {
+  db.prepare(`UPDATE winners SET claim_deadline=? WHERE giveaway_id=? AND status='pending'`)
+    .run(CLAIM_HOURS ? now + CLAIM_HOURS * 3600 : null, gid);
+}
+
+// DM qua outbox; user chưa /start bot (403) -> vẫn nhận được qua nút "Nhận quà" trong group
+function notifyWinner(g, w) {
+  const deadline = db.prepare(`SELECT claim_deadline FROM winners WHERE giveaway_id=? AND user_id=?`).get(g.id, w.user_id);
+  const lang = userLang(w.user_id, chatLang(g.chat_id));
+  queueMessage(
+    `claim:${g.id}:${w.user_id}`,
+    w.user_id,
+    `${t(lang, "claim_dm", { id: g.id })}\n${t(lang, "win_reward", { prize: escHtml(g.prize) })}\n` +
+    (deadline?.claim_deadline ? `${t(lang, "claim_deadline", { time: fmtUnix(deadline.claim_deadline, lang) })}\n` : "") +
+    `\n${t(lang, "claim_press")}`,
+    { parse_mode: "HTML", ...Markup.inlineKeyboard([Markup.button.callback(t(lang, "btn_claim"), `claim_${g.id}`)]) },
+    { giveawayId: g.id, kind: "dm" }
+  );
+}
+
+async function replyClaimPrompt(ctx, gid) {
+  const lang = ctxLang(ctx);
+  const w = db.prepare(`SELECT status, claim_deadline FROM winners WHERE giveaway_id=? AND user_id=?`).get(gid, ctx.from.id);
+  if (!w) return ctx.reply(t(lang, "claim_not_winner"));
+  if (w.status === "claimed") return ctx.reply(t(lang, "claim_already"));
+  if (w.status !== "pending") return ctx.reply(t(lang, "claim_gone"));
+
+  return ctx.reply(
+    t(lang, "claim_dm", { id: gid }) +
+      (w.claim_deadline ? `\n${t(lang, "claim_prompt_deadline", { time: fmtUnix(w.claim_deadline, lang) })}` : ""),
+    Markup.inlineKeyboard([Markup.button.callback(t(lang, "btn_claim"), `claim_${gid}`)])
+  );
+}
+
+bot.action(/^claim_(\d+)$/, async ctx => {
+  const gid = Number(ctx.match[1]);
+  const lang = ctxLang(ctx);
+  const g = db.prepare(`SELECT id, prize, sponsor, owner_id FROM giveaways WHERE id=?`).get(gid);
+  const w = db.prepare(`SELECT status, claim_deadline FROM winners WHERE giveaway_id=? AND user_id=?`).get(gid, ctx.from.id);
+
+  if (!g || !w) return ctx.answerCbQuery(t(lang, "claim_cb_not_winner"), { show_alert: true });
+  if (w.status === "claimed") return ctx.answerCbQuery(t(lang, "claim_cb_already"), { show_alert: true });
+
+  const now = dayjs().unix();
+  if (w.status !== "pending" || (w.claim_deadline && now >= w.claim_deadline)) {
+    return ctx.answerCbQuery(t(lang, "claim_cb_expired"), { show_alert: true });
+  }
+
+  db.transaction(() => {
+    db.prepare(`UPDATE winners SET status='claimed', claimed_at=? WHERE giveaway_id=? AND user_id=?`).run(now, gid, ctx.from.id);
+    const row = db.prepare(`SELECT name, tier FROM winners WHERE giveaway_id=? AND user_id=?`).get(gid, ctx.from.id);
+    emitEvent("claimed", `claimed:${gid}:${ctx.from.id}`, { giveaway_id: gid, user_id: ctx.from.id, name: row.name, tier: row.tier, claimed_at: now });
+  })();
+
+  try {
+    await ctx.editMessageText(
+      t(lang, "claim_done", { id: gid, sponsor: escHtml(g.sponsor) }),
+      { parse_mode: "HTML" }
+    );
+  } catch {}
+
+  for (const adminId of giveawayStaffIds(g)) {
+    queueMessage(`claimed:${gid}:${ctx.from.id}:${adminId}`, adminId, t(userLang(adminId), "claim_admin_notice", { user: ctx.from.id, id: gid }), {}, { giveawayId: gid, kind: "dm" });
+  }
+  kickOutbox();
+  return ctx.answerCbQuery(t(lang, "claim_cb_done"));
+});
+
+// slot của winner -> người kế tiếp trong cùng ranking HMAC (chưa từng nằm trong winners)
+function rerollSlot(g, userId, status) {
+  const tx = db.transaction(() => {
+    const row = db.prepare(`
+      SELECT rowid, user_id, name, tier FROM winners
+      WHERE giveaway_id=? AND user_id=? AND status IN ('pending','claimed')
+    `).get(g.id, userId);
+    if (!row) return null;
+
+    const taken = new Set(db.prepare(`SELECT user_id FROM winners WHERE giveaway_id=?`).all(g.id).map(w => w.user_id));
+    const ranking = getRanking(g);
+    const pos = ranking.findIndex(p => !taken.has(p.user_id));
+    const next = pos >= 0 ? ranking[pos] : null;
+    const now = dayjs().unix();
+
+    db.prepare(`UPDATE winners SET status=?, replaced_by=? WHERE rowid=?`).run(status, next ? next.user_id : null, row.rowid);
+    if (next) {
+      db.prepare(`
+        INSERT INTO winners(giveaway_id,user_id,name,tier,status,rank_pos,claim_deadline)
+        VALUES (?,?,?,?,'pending',?,?)
+      `).run(g.id, next.user_id, next.name, row.tier, pos + 1, CLAIM_HOURS ? now + CLAIM_HOURS * 3600 : null);
+    }
+    return { old: row, next, pos: pos + 1 };
+  });
+  return tx();
+}
+
+// reason = null -> lý do mặc định theo ngôn ngữ của group
+function announceReroll(g, r, reason) {
+  const textFor = lang =>
+    `${t(lang, "reroll_title", { id: g.id })}\n\n` +
+    `❌ ${escHtml(r.old.name)} (${r.old.user_id}): ${escHtml(reason || t(lang, "reroll_reason_default"))}\n` +
+    (r.next
+      ? `${t(lang, "reroll_new", { name: escHtml(r.next.name), user: r.next.user_id, pos: r.pos })}\n` +
+        `\n${t(lang, "reroll_verify", { id: g.id })}`
+      : t(lang, "reroll_none"));
+
+  queueToGiveawayChats(g, `reroll:${g.id}:${r.old.user_id}`, textFor, { claim: !!r.next, kind: "reroll" });
+  if (r.next) notifyWinner(g, r.next);
+}
+
+async function expireUnclaimed() {
+  const now = dayjs().unix();
+  const rows = db.prepare(`
+    SELECT w.giveaway_id, w.user_id
+    FROM winners w JOIN giveaways g ON g.id = w.giveaway_id
+    WHERE w.status='pending' AND w.claim_deadline IS NOT NULL AND w.claim_deadline <= ?
+      AND g.announced=1 AND g.canceled=0
+    ORDER BY w.rowid ASC
+  `).all(now);
+
+  for (const w of rows) {
+    try {
+      const g = db.prepare(`SELECT * FROM giveaways WHERE id=?`).get(w.giveaway_id);
+      db.transaction(() => {
+        const r = rerollSlot(g, w.user_id, "expired");
+        if (r) announceReroll(g, r, t(chatLang(g.chat_id), "reroll_reason_expired"));
+      })();
+    } catch (err) {
+      console.error("CLAIM_EXPIRE_FAIL", w.giveaway_id, w.user_id, err?.response?.description || err);
+    }
+  }
+}
+
+// ---------------- Scheduled start + recurring series ----------------
+// weekday tokens from every catalog ("cn,t2,..." / "sun,mon,...") -> 0..6 (0 = Sunday, như dayjs)
+function parseSeriesDays(str) {
+  const s = str.toLowerCase();
+  if (s === "daily" || s === "*") return [0, 1, 2, 3, 4, 5, 6];
+
+  const names = LANGS.map(l => t(l, "weekdays").toLowerCase().split(","));
+  const days = new Set();
+  for (const tok of s.split(",")) {
+    const d = names.map(n => n.indexOf(tok)).find(i => i >= 0);
+    if (d === undefined) throw new Error("BAD_DAYS");
+    days.add(d);
+  }
+  return [...days].sort((a, b) => a - b);
+}
+
+// /series add <days> <HH:mm>|<hours open>|<winners>|<prize>|<sponsor>
+function parseSeriesArgs(fullText) {
+  const raw = fullText
+    .replace(/^\/series(@\w+)?\s+add\s*/i, "")
+    .replace(/｜/g, "|")
+    .replace(/\s*\|\s*/g, "|")
+    .trim();
+
+  const parts = raw.split("|");
+  if (parts.length < 5) throw new Error("BAD_FORMAT");
+
+  const [daysStr, time] = parts[0].split(/\s+/);
+  const days = parseSeriesDays(daysStr || "");
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(time || "")) throw new Error("BAD_TIME");
+
+  const hours = Number(parts[1]);
+  if (!Number.isFinite(hours) || hours <= 0) throw new Error("BAD_DURATION");
+
+  const winners = Number(parts[2]);
+  if (!Number.isInteger(winners) || winners < 1) throw new Error("BAD_WINNERS");
+
+  const sponsor = (parts[parts.length - 1] || "").trim();
+  const prize = parts.slice(3, parts.length - 1).join("|").trim();
+  if (!prize || !sponsor) throw new Error("BAD_PRIZE");
+  parsePrizeTiers(prize, winners); // BAD_TIERS
+
+  return { days, time, duration: Math.round(hours * 3600), winners, prize, sponsor };
+}
+
+// next start strictly after `after` (unix), in TIMEZONE
+function nextSeriesRun(s, after) {
+  const days = String(s.days).split(",").map(Number);
+  const base = dayjs.unix(after).tz(TZ);
+  for (let i = 0; i <= 7; i++) {
+    const at = dayjs.tz(`${base.add(i, "day").format("YYYY-MM-DD")} ${s.time}`, "YYYY-MM-DD HH:mm", TZ);
+    if (days.includes(at.day()) && at.unix() > after) return at.unix();
+  }
+  return null;
+}
+
+function fmtSeriesDays(days, lang) {
+  const list = String(days).split(",").map(Number);
+  if (list.length === 7) return t(lang, "daily");
+  const names = t(lang, "weekdays").split(",");
+  return list.map(d => names[d]).join(",");
+}
+
+function buildSeriesLine(s, lang) {
+  return t(lang, "series_row", {
+    id: s.id,
+    state: s.paused ? "⏸" : "▶️",
+    days: fmtSeriesDays(s.days, lang),
+    time: s.time,
+    hours: Math.round(s.duration / 360) / 10,
+    winners: s.winners,
+    prize: escHtml(s.prize),
+    next: s.paused || !s.next_run ? "—" : fmtUnix(s.next_run, lang),
+    runs: s.runs ?? db.prepare(`SELECT COUNT(*) AS c FROM giveaways WHERE series_id=?`).get(s.id).c
+  });
+}
+
+// due series -> 1 giveaway mới (start = next_run), rồi tính lượt kế tiếp
+async function runSeries() {
+  const now = dayjs().unix();
+  const due = db.prepare(`SELECT * FROM series WHERE paused=0 AND next_run IS NOT NULL AND next_run <= ?`).all(now);
+
+  for (const s of due) {
+    try {
+      const tx = db.transaction(() => {
+        // lượt đã hết giờ (bot tắt quá lâu) -> bỏ qua
+        if (s.next_run + s.duration > now) {
+          insertGiveaway({
+            chats: [{ chat_id: s.chat_id, message_id: 0 }],
+            winners: s.winners,
+            startUnix: s.next_run,
+            endUnix: s.next_run + s.duration,
+            prize: s.prize,
+            sponsor: s.sponsor,
+            tiers: parsePrizeTiers(s.prize, s.winners),
+            seriesId: s.id,
+            ownerId: s.owner_id
+          });
+        }
+        db.prepare(`UPDATE series SET next_run=? WHERE id=?`).run(nextSeriesRun(s, now), s.id);
+      });
+      tx();
+    } catch (err) {
+      console.error("SERIES_RUN_FAIL", s.id, err?.message || err);
+    }
+  }
+}
+
+// post giveaways whose start_time has come (message_id = 0)
+async function postScheduled() {
+  const now = dayjs().unix();
+  const due = db.prepare(`
+    SELECT * FROM giveaways
+    WHERE message_id = 0 AND canceled = 0 AND ended = 0 AND start_time <= ? AND end_time > ?
+    ORDER BY start_time ASC, id ASC
+  `).all(now, now);
+
+  for (const g of due) {
+    const chats = giveawayChats(g.id);
+    const failed = [];
+    for (const c of chats) {
+      if (c.message_id) continue;
+      try {
+        const lang = chatLang(c.chat_id);
+        const sent = await bot.telegram.sendMessage(
+          c.chat_id,
+          buildGiveawayTextPublic({ ...g, tiers: getTiers(g) }, 0, lang),
+          {
+            parse_mode: "HTML",
+            disable_web_page_preview: true,
+            ...Markup.inlineKeyboard([Markup.button.callback(t(lang, "btn_join"), `join_${g.id}`)])
+          }
+        );
+        c.message_id = sent.message_id;
+        db.prepare(`UPDATE giveaway_chats SET message_id=? WHERE giveaway_id=? AND chat_id=?`).run(sent.message_id, g.id, c.chat_id);
+      } catch (err) {
+        console.error("SCHEDULED_POST_FAIL", g.id, c.chat_id, err?.response?.description || err);
+        failed.push({ chatId: c.chat_id, error: err?.response?.description || String(err?.message || err) });
+      }
+    }
+    // đăng đủ mọi group mới mở tham gia; group lỗi => giveaways.message_id vẫn = 0 => retry next tick
+    if (chats.every(c => c.message_id)) {
+      db.prepare(`UPDATE giveaways SET message_id=? WHERE id=?`).run(chats[0].message_id, g.id);
+    } else if (failed.length) {
+      // báo owner / admin 1 lần (key cố định) để sửa quyền bot / gỡ group trước end_time
+      for (const adminId of giveawayStaffIds(g)) {
+        const lang = userLang(adminId);
+        queueMessage(`postfail:${g.id}:${adminId}`, adminId, t(lang, "scheduled_post_fail", {
+          id: g.id,
+          groups: escHtml(failed.map(f => `${groupName(f.chatId)} (${f.error})`).join(", ")),
+          time: fmtUnix(g.end_time, lang)
+        }), { parse_mode: "HTML" }, { giveawayId: g.id });
+      }
+    }
+  }
+
+  abandonUnposted(now);
+  kickOutbox();
+}
+
+// tới end_time mà vẫn chưa đăng đủ group (chưa từng mở tham gia) -> không quay rỗng:
+// hủy, sửa post ở group đã đăng, báo owner / admin
+function abandonUnposted(now) {
+  const stuck = db.prepare(`
+    SELECT * FROM giveaways WHERE message_id = 0 AND canceled = 0 AND ended = 0 AND end_time <= ?
+  `).all(now);
+
+  for (const g of stuck) {
+    const reason = t(DEFAULT_LANG, "scheduled_post_reason");
+    const chats = giveawayChats(g.id);
+    db.transaction(() => {
+      if (!db.prepare(`
+        UPDATE giveaways SET canceled=1, ended=1, ended_at=?, cancel_reason=? WHERE id=? AND message_id = 0 AND ended = 0
+      `).run(now, reason, g.id).changes) return;
+      emitEvent("canceled", `canceled:${g.id}`, { giveaway: apiGiveaway(db.prepare(`SELECT * FROM giveaways WHERE id=?`).get(g.id)), reason });
+
+      for (const c of chats) {
+        if (!c.message_id) continue;
+        enqueueOutbox(`cancel:${g.id}:edit:${c.chat_id}`, "editMessageText", {
+          chat_id: c.chat_id,
+          message_id: c.message_id,
+          text: buildCanceledTextPublic({ ...g, cancel_reason: reason }, 0, chatLang(c.chat_id)),
+          parse_mode: "HTML",
+          disable_web_page_preview: true
+        }, { giveawayId: g.id, kind: "cancel" });
+      }
+
+      const missing = chats.filter(c => !c.message_id).map(c => groupName(c.chat_id)).join(", ");
+      for (const adminId of giveawayStaffIds(g)) {
+        queueMessage(`notposted:${g.id}:${adminId}`, adminId,
+          t(userLang(adminId), "scheduled_post_abandoned", { id: g.id, groups: escHtml(missing) }),
+          { parse_mode: "HTML" }, { giveawayId: g.id, kind: "cancel" });
+      }
+    })();
+    console.error("SCHEDULED_POST_ABANDONED", g.id);
+  }
+}
+
+// ---------------- AUTO DRAW + AUTO ANNOUNCE (with retry) ----------------
+function announceEmpty(g, now) {
+  db.transaction(() => {
+    // lượt chạy khác / /announce đã công bố -> bỏ qua
+    if (!db.prepare(`UPDATE giveaways SET announced=1, announced_at=? WHERE id=? AND announced=0`).run(now, g.id).changes) return;
+    queueToGiveawayChats(g, `result:${g.id}`, lang =>
+      `${t(lang, "empty_end", { id: g.id })}\n` +
+      `${t(lang, "win_reward", { prize: escHtml(g.prize) })}\n` +
+      `${t(lang, "gw_sponsor", { sponsor: escHtml(g.sponsor) })}\n`,
+    { result: true });
+
+    // DM proof cho admin
+    queueProof(db.prepare(`SELECT * FROM giveaways WHERE id=?`).get(g.id), `result:${g.id}`);
+  })();
+}
+
+// giveaway đang quay / công bố: timer và tick có thể chạy chồng nhau, mỗi giveaway chỉ 1 lượt
+const drawing = new Set();
+// claim (draw_started_at) của lượt quay bị crash giữa chừng hết hạn sau đó -> lượt sau quay lại
+const DRAW_CLAIM_TTL_SECONDS = 5 * 60;
+
+async function drawAndAnnounce() {
+  const now = dayjs().unix();
+
+  // all due giveaways that haven't been announced yet (chưa đăng đủ group -> abandonUnposted, không quay)
+  const pending = db.prepare(`
+    SELECT id FROM giveaways
+    WHERE canceled = 0
+      AND paused = 0
+      AND message_id <> 0
+      AND end_time <= ?
+      AND announced = 0
+  `).all(now);
+
+  for (const { id } of pending) {
+    if (drawing.has(id)) continue;
+    drawing.add(id);
+    tickBeat();
+    let claimedAt = null;
+    try {
+      // đọc lại sau khi giữ lock: lượt trước có thể vừa công bố / admin vừa hủy
+      const g = db.prepare(`
+        SELECT id, chat_id, prize, sponsor, winners, seed, seed_hash, ended, canceled, end_time, members_checked_at
+        FROM giveaways WHERE id=? AND canceled = 0 AND paused = 0 AND message_id <> 0 AND announced = 0
+      `).get(id);
+      if (!g) continue;
+
+      // draw if not ended
+      if (g.ended === 0) {
+        // claim trước khi loại ai (ended vẫn = 0 -> seed chưa công bố): lượt / process khác bỏ qua, giveaway pause / hủy không bị quay
+        if (!db.prepare(`
+          UPDATE giveaways SET draw_started_at=?
+          WHERE id=? AND ended = 0 AND canceled = 0 AND paused = 0 AND (draw_started_at IS NULL OR draw_started_at <= ?)
+        `).run(now, g.id, now - DRAW_CLAIM_TTL_SECONDS).changes) continue;
+        claimedAt = now;
+
+        // còn ở group? (người vào sau lượt re-check trước end_time, có giới hạn thời gian) + blacklist / cooldown / anti-fraud lần cuối,
+        // rồi freeze participant list at end_time (joins are rejected from end_time on)
+        await recheckMembers(g, now, { since: g.members_checked_at, deadline: Date.now() + MEMBER_RECHECK_BUDGET_MS });
+        excludeIneligible(g, now);
+        const participants = db.prepare(`
+          SELECT user_id, name, weight FROM participants
+          WHERE giveaway_id=? AND joined_at < ?
+          ORDER BY user_id ASC
+        `).all(g.id, g.end_time);
+        const participantsHash = hashParticipants(participants);
+        const picked = participants.length
+          ? assignTiers(pickWinnersDeterministic(deriveDrawKey(g.seed, participantsHash), g.id, participants, g.winners), getTiers(g))
+          : [];
+
+        const insertWinner = db.prepare(`
+          INSERT INTO winners(giveaway_id,user_id,name,tier,status,rank_pos) VALUES (?,?,?,?,'pending',?)
+        `);
+        // chốt: ended 0 -> 1 chỉ khi claim vẫn của lượt này (admin hủy giữa chừng -> bỏ) => quay đúng 1 lần
+        const tx = db.transaction(() => {
+          if (!db.prepare(`
+            UPDATE giveaways SET ended=1, ended_at=?, participants_hash=?, draw_started_at=NULL
+            WHERE id=? AND ended = 0 AND canceled = 0 AND draw_started_at = ?
+          `).run(now, participantsHash, g.id, claimedAt).changes) return false;
+          picked.forEach((w, i) => insertWinner.run(g.id, w.user_id, w.name, w.tier, i + 1));
+          emitEvent("drawn", `drawn:${g.id}`, { giveaway: apiGiveawayDetail(db.prepare(`SELECT * FROM giveaways WHERE id=?`).get(g.id)) });
+          return true;
+        });
+        if (!tx()) continue;
+        claimedAt = null;
+        metrics.draws++;
+        if (!participants.length) {
+          announceEmpty(g, now);
+          continue;
+        }
+      }
+
+      // announce from DB (so it can be retried)
+      armClaimDeadlines(g.id, now);
+      const ws = db.prepare(`
+        SELECT user_id,name,tier,claim_deadline FROM winners
+        WHERE giveaway_id=? AND status NOT IN ('expired','replaced')
+        ORDER BY rowid ASC
+      `).all(g.id);
+      if (!ws.length) {
+        // không ai tham gia, đã quay nhưng chưa kịp công bố (crash giữa chừng)
+        if (!db.prepare(`SELECT 1 FROM winners WHERE giveaway_id=?`).get(g.id)) {
+          announceEmpty(g, now);
+          continue;
+        }
+        console.error("AUTO_ANNOUNCE_NO_WINNERS_IN_DB", g.id);
+        continue; // don't mark announced => retry
+      }
+
+      const fresh = db.prepare(`SELECT * FROM giveaways WHERE id=?`).get(g.id);
+
+      // announced = 1 cùng transaction với outbox: crash trước -> lượt sau enqueue lại (cùng key), sau -> outbox gửi nốt
+      const tiers = getTiers(fresh);
+      db.transaction(() => {
+        if (!db.prepare(`UPDATE giveaways SET announced=1, announced_at=? WHERE id=? AND announced=0`).run(now, g.id).changes) return;
+
+        // GROUP: public winners only (mọi group của giveaway)
+        queueToGiveawayChats(fresh, `result:${g.id}`, lang => buildWinnersTextPublic(fresh, ws, tiers, lang), { claim: true, result: true });
+
+        // DM: claim button to winners
+        for (const w of ws) notifyWinner(fresh, w);
+
+        // DM: proof to admins
+        queueProof(fresh, `result:${g.id}`);
+      })();
+
+    } catch (err) {
+      console.error("AUTO_ANNOUNCE_FAIL", id, err?.response?.description || err);
+      // don't set announced => retry next tick
+      if (claimedAt) db.prepare(`UPDATE giveaways SET draw_started_at=NULL WHERE id=? AND draw_started_at=?`).run(id, claimedAt);
+    } finally {
+      drawing.delete(id);
+    }
+  }
+}
+
+// ---------------- Draw scheduler ----------------
+// timer tới end_time gần nhất (quay đúng giờ, không chờ tick); tạo / đổi giờ / pause / resume / hủy -> armDrawTimer()
+// tick vẫn quét giveaway quá hạn (công bố lỗi, DB sửa ngoài bot) làm lưới an toàn
+const DRAW_TIMER_MAX_MS = 3600 * 1000; // setTimeout tối đa ~24 ngày -> giveaway xa thì đặt lại mỗi giờ
+let drawTimer = null;
+
+function armDrawTimer() {
+  clearTimeout(drawTimer);
+  drawTimer = null;
+  if (shuttingDown) return;
+  const now = dayjs().unix();
+  const next = db.prepare(`
+    SELECT MIN(end_time) AS t FROM giveaways
+    WHERE canceled = 0 AND paused = 0 AND announced = 0 AND end_time > ?
+  `).get(now).t;
+  if (next) drawTimer = setTimeout(runDueDraws, Math.min(DRAW_TIMER_MAX_MS, (next - now) * 1000));
+}
+
+async function runDueDraws() {
+  try {
+    await drawAndAnnounce();
+    await deliverOutbox();
+  } catch (err) {
+    console.error("DRAW_RUN_FAIL", err);
+  }
+  armDrawTimer();
+}
+
+// SIGINT / SIGTERM -> không bắt đầu tick / lượt quay mới (xem shutdown)
+let shuttingDown = false;
+
+// 1 lượt tại 1 thời điểm (re-check member của giveaway lớn có thể lâu hơn TICK_SECONDS)
+let ticking = false;
+let lastTickAt = null; // lượt tick xong gần nhất (/healthz)
+let tickStage = null;
+let tickBeatAt = null;
+
+// tick vẫn đang tiến (không treo): mỗi bước, mỗi giveaway quay, mỗi lượt re-check / tin outbox cập nhật
+// -> /healthz không báo lỗi khi tick bận lâu nhưng vẫn chạy
+function tickBeat(stage) {
+  if (stage) tickStage = stage;
+  tickBeatAt = dayjs().unix();
+}
+
+const tickStep = (name, fn) => () => {
+  tickBeat(name);
+  return fn();
+};
+const tickTimer = setInterval(
+  () => {
+    if (ticking || shuttingDown) return;
+    ticking = true;
+    tickBeat("series");
+    precheckMembers().catch(err => console.error("MEMBER_PRECHECK_FAIL", err));
+    return runSeries()
+      .then(tickStep("post", postScheduled))
+      .then(tickStep("draw", drawAndAnnounce))
+      .then(tickStep("claims", expireUnclaimed))
+      .then(tickStep("outbox", deliverOutbox))
+      .then(tickStep("countdown", refreshCountdowns))
+      .then(() => { lastTickAt = dayjs().unix(); })
+      .catch(err => {
+        // lỗi ngoài try của từng giveaway / tin (DB, Telegram) -> ghi lại, lượt sau chạy tiếp
+        metrics.tickFailures++;
+        console.error("TICK_FAIL", err?.response?.description || err);
+      })
+      .finally(() => { ticking = false; });
+  },
+  TICK_SECONDS * 1000
+);
+
+// ---------------- REST API (read-only) ----------------
+// GET /api/giveaways?status=&group=&page=&limit=   GET /api/giveaways/<id>   GET /api/giveaways/<id>/bundle
+// key: header "Authorization: Bearer <key>" hoặc "X-API-Key"; seed chỉ có sau khi quay (isDrawn, như proof DM)
+const API_PAGE_MAX = 100;
+const API_STATUS_SQL = {
+  canceled: "canceled = 1",
+  drawn: "canceled = 0 AND ended = 1",
+  paused: "canceled = 0 AND ended = 0 AND paused = 1",
+  scheduled: "canceled = 0 AND ended = 0 AND paused = 0 AND message_id = 0",
+  running: "canceled = 0 AND ended = 0 AND paused = 0 AND message_id <> 0"
+};
+
+function newApiKey() {
+  return `gk_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+// -> api_keys row hoặc null
+function apiKeyOf(req) {
+  const auth = req.headers.authorization || "";
+  const key = auth.startsWith("Bearer ") ? auth.slice(7).trim() : req.headers["x-api-key"];
+  if (!key) return null;
+  const row = db.prepare(`SELECT * FROM api_keys WHERE key_hash=? AND revoked_at IS NULL`).get(sha256Hex(String(key)));
+  if (row) db.prepare(`UPDATE api_keys SET last_used_at=? WHERE id=?`).run(dayjs().unix(), row.id);
+  return row || null;
+}
+
+function apiGiveaway(g) {
+  return {
+    id: g.id,
+    prize: g.prize,
+    sponsor: g.sponsor,
+    status: giveawayStatus(g),
+    winners: g.winners,
+    tiers: getTiers(g),
+    participants: db.prepare(`SELECT COUNT(*) AS c FROM participants WHERE giveaway_id=?`).get(g.id).c,
+    chats: db.prepare(`
+      SELECT c.chat_id, gr.id AS group_id, gr.title
+      FROM giveaway_chats c LEFT JOIN groups gr ON gr.chat_id = c.chat_id
+      WHERE c.giveaway_id=? ORDER BY c.rowid ASC
+    `).all(g.id),
+    created_at: g.created_at,
+    start_time: g.start_time ?? null,
+    end_time: g.end_time,
+    ended_at: g.ended_at ?? null,
+    announced_at: g.announced_at ?? null
+  };
+}
+
+function apiGiveawayDetail(g) {
+  return {
+    ...apiGiveaway(g),
+    results: db.prepare(`
+      SELECT user_id, name, tier, status, rank_pos, claimed_at FROM winners WHERE giveaway_id=? ORDER BY rowid ASC
+    `).all(g.id),
+    excluded: db.prepare(`SELECT COUNT(*) AS c FROM excluded_entries WHERE giveaway_id=?`).get(g.id).c,
+    cancel_reason: g.canceled ? g.cancel_reason || null : null,
+    proof: {
+      seed_hash: g.seed_hash,
+      seed: isDrawn(g) ? g.seed : null,
+      participants_hash: g.participants_hash || null,
+      bundle: isDrawn(g) ? `/api/giveaways/${g.id}/bundle` : null
+    }
+  };
+}
+
+function handleApi(req, res) {
+  if (req.method !== "GET") return sendJson(res, 405, { error: "method_not_allowed" });
+  if (!apiKeyOf(req)) return sendJson(res, 401, { error: "unauthorized" });
+
+  const url = new URL(req.url, "http://localhost");
+  const q = url.searchParams;
+
+  if (url.pathname === "/api/giveaways") {
+    const where = [];
+    const params = [];
+    const status = (q.get("status") || "").toLowerCase();
+    if (status) {
+      if (!API_STATUS_SQL[status]) return sendJson(res, 400, { error: "bad_status", allowed: Object.keys(API_STATUS_SQL) });
+      where.push(API_STATUS_SQL[status]);
+    }
+    if (q.get("group")) {
+      // id trong /groups (như /history)
+      const chatId = db.prepare(`SELECT chat_id FROM groups WHERE id=?`).get(Number(q.get("group")))?.chat_id;
+      if (!chatId) return sendJson(res, 400, { error: "unknown_group" });
+      where.push("id IN (SELECT giveaway_id FROM giveaway_chats WHERE chat_id=?)");
+      params.push(chatId);
+    }
+    const page = Math.max(1, Math.floor(Number(q.get("page"))) || 1);
+    const limit = Math.min(API_PAGE_MAX, Math.max(1, Math.floor(Number(q.get("limit"))) || 20));
+    const filter = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+    const total = db.prepare(`SELECT COUNT(*) AS c FROM giveaways ${filter}`).get(...params).c;
+    const rows = db.prepare(`SELECT * FROM giveaways ${filter} ORDER BY id DESC LIMIT ? OFFSET ?`).all(...params, limit, (page - 1) * limit);
+    return sendJson(res, 200, { page, limit, total, items: rows.map(apiGiveaway) });
+  }
+
+  const m = url.pathname.match(/^\/api\/giveaways\/(\d+)(\/bundle)?$/);
+  if (!m) return sendJson(res, 404, { error: "not_found" });
+  const g = db.prepare(`SELECT * FROM giveaways WHERE id=?`).get(Number(m[1]));
+  if (!g) return sendJson(res, 404, { error: "not_found" });
+  if (!m[2]) return sendJson(res, 200, apiGiveawayDetail(g));
+
+  // bundle cho verify.js: chỉ khi đã quay (seed công bố)
+  if (!isDrawn(g)) return sendJson(res, 409, { error: "not_drawn" });
+  res.writeHead(200, {
+    "Content-Type": "application/json",
+    "Content-Disposition": `attachment; filename="giveaway-${g.id}.json"`
+  });
+  return res.end(JSON.stringify(exportBundle(g.id), null, 2));
+}
+
+// /apikey — danh sách; /apikey add <tên> — tạo (key chỉ hiện 1 lần); /apikey revoke <id>
+bot.command("apikey", ctx => {
+  if (!can(ctx.from.id, "settings")) return;
+  const lang = ctxLang(ctx);
+  if (ctx.chat.type !== "private") return ctx.reply(t(lang, "dm_only", { cmd: "/apikey" }));
+
+  const parts = (ctx.message.text || "").trim().split(/\s+/);
+  const sub = (parts[1] || "").toLowerCase();
+  const now = dayjs().unix();
+
+  if (!sub) {
+    const rows = db.prepare(`SELECT * FROM api_keys WHERE revoked_at IS NULL ORDER BY id ASC`).all();
+    let text = `${t(lang, "apikey_title")}\n\n`;
+    if (!rows.length) text += `${t(lang, "empty_list")}\n`;
+    for (const k of rows) {
+      text += `${t(lang, "apikey_row", {
+        id: k.id,
+        name: escHtml(k.name),
+        by: k.created_by,
+        time: fmtUnix(k.created_at, lang),
+        used: k.last_used_at ? fmtUnix(k.last_used_at, lang) : t(lang, "apikey_never")
+      })}\n`;
+    }
+    return ctx.reply(text, { parse_mode: "HTML" });
+  }
+
+  if (sub === "add") {
+    const name = parts.slice(2).join(" ").trim();
+    if (!name) return ctx.reply(t(lang, "usage_apikey"));
+    const key = newApiKey();
+    const id = db.prepare(`INSERT INTO api_keys(name,key_hash,created_by,created_at) VALUES (?,?,?,?)`)
+      .run(name, sha256Hex(key), ctx.from.id, now).lastInsertRowid;
+    // dòng đầu không chứa key (audit log chỉ ghi dòng đầu)
+    return ctx.reply(`${t(lang, "apikey_created", { id, name: escHtml(name) })}\n<code>${key}</code>\n\n${t(lang, "apikey_once")}`, { parse_mode: "HTML" });
+  }
+
+  const id = Number(parts[2] || "");
+  if (sub !== "revoke" || !Number.isInteger(id)) return ctx.reply(t(lang, "usage_apikey"));
+  const changes = db.prepare(`UPDATE api_keys SET revoked_at=? WHERE id=? AND revoked_at IS NULL`).run(now, id).changes;
+  return ctx.reply(t(lang, changes ? "apikey_revoked" : "apikey_not_found", { id }));
+});
+
+// ---------------- Event webhooks ----------------
+// /hook add <event> <url>: POST JSON tới CRM / bot sponsor khi có sự kiện; ký HMAC-SHA256 bằng secret riêng của hook
+// header: X-Giveaway-Event, X-Giveaway-Delivery, X-Giveaway-Timestamp,
+//         X-Giveaway-Signature = "sha256=" + hex(hmac(secret, "<timestamp>.<body>"))
+const HOOK_EVENTS = ["created", "joined", "drawn", "canceled", "claimed"];
+const HOOK_MAX_ATTEMPTS = 8;
+const HOOK_TIMEOUT_MS = 10 * 1000;
+const HOOK_BATCH = 20;
+const HOOK_CONCURRENCY = 4; // số hook gửi song song (mỗi hook gửi lần lượt theo thứ tự sự kiện)
+const HOOK_LOG_MAX = 15;
+
+// gọi trong transaction của thay đổi trạng thái (rollback -> không có sự kiện); gửi sau khi commit
+function emitEvent(event, eventId, data) {
+  const hooks = db.prepare(`SELECT id FROM hooks WHERE event IN (?, 'all')`).all(event);
+  if (!hooks.length) return;
+  const now = dayjs().unix();
+  const payload = JSON.stringify({ id: eventId, event, created_at: now, data });
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO hook_deliveries(hook_id,event,event_id,payload,next_at,created_at) VALUES (?,?,?,?,?,?)
+  `);
+  for (const h of hooks) insert.run(h.id, event, eventId, payload, now, now);
+  setImmediate(kickHooks);
+}
+
+function signHook(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+async function deliverHookItem(d) {
+  const hook = db.prepare(`SELECT * FROM hooks WHERE id=?`).get(d.hook_id);
+  const now = dayjs().unix();
+  if (!hook) {
+    db.prepare(`UPDATE hook_deliveries SET status='failed', last_error='hook removed' WHERE id=?`).run(d.id);
+    return true;
+  }
+
+  let status = null;
+  let error = null;
+  let retryAfter = 0;
+  try {
+    const res = await fetch(hook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Giveaway-Event": d.event,
+        "X-Giveaway-Delivery": String(d.id),
+        "X-Giveaway-Timestamp": String(now),
+        "X-Giveaway-Signature": signHook(hook.secret, now, d.payload)
+      },
+      body: d.payload,
+      redirect: "manual",
+      signal: AbortSignal.timeout(HOOK_TIMEOUT_MS)
+    });
+    status = res.status;
+    retryAfter = Number(res.headers.get("retry-after")) || 0;
+    await res.arrayBuffer().catch(() => {});
+  } catch (err) {
+    error = err?.cause?.code || err?.name || String(err);
+  }
+
+  if (status >= 200 && status < 300) {
+    db.prepare(`UPDATE hook_deliveries SET status='delivered', attempts=attempts+1, last_status=?, last_error=NULL, delivered_at=? WHERE id=?`)
+      .run(status, now, d.id);
+    return true;
+  }
+  const attempts = d.attempts + 1;
+  // 3xx / 4xx (trừ 408, 429): URL hoặc bên nhận từ chối, thử lại không khỏi
+  const permanent = status >= 300 && status < 500 && ![408, 429].includes(status);
+  const failed = permanent || attempts >= HOOK_MAX_ATTEMPTS;
+  db.prepare(`UPDATE hook_deliveries SET status=?, attempts=?, next_at=?, last_status=?, last_error=? WHERE id=?`)
+    .run(failed ? "failed" : "pending", attempts, now + Math.max(retryAfter, outboxBackoff(attempts)), status, error, d.id);
+  metrics.sendFailures.webhook++;
+  console.error("HOOK_SEND_FAIL", d.id, hook.url, status || error);
+  return false;
+}
+
+// vòng gửi riêng, không nằm trong tick (bên nhận chậm / chết không giữ quay thưởng, outbox)
+// 1 worker tại 1 thời điểm (như deliverOutbox); trong worker: tối đa HOOK_CONCURRENCY hook song song
+let deliveringHooks = false;
+let hooksAgain = false;
+
+async function deliverHooks() {
+  if (deliveringHooks) {
+    hooksAgain = true;
+    return;
+  }
+  deliveringHooks = true;
+  // hook vừa lỗi: bỏ qua tới lượt sau, không chờ timeout cho từng sự kiện còn lại
+  const down = new Set();
+  try {
+    do {
+      hooksAgain = false;
+      const due = db.prepare(`
+        SELECT * FROM hook_deliveries
+        WHERE status='pending' AND next_at <= ? AND hook_id NOT IN (${[...down].join(",") || 0})
+        ORDER BY id ASC LIMIT ?
+      `).all(dayjs().unix(), HOOK_BATCH);
+
+      const byHook = new Map();
+      for (const d of due) byHook.set(d.hook_id, [...(byHook.get(d.hook_id) || []), d]);
+      const queues = [...byHook.values()];
+      await Promise.all(Array.from({ length: Math.min(HOOK_CONCURRENCY, queues.length) }, async () => {
+        for (let q = queues.shift(); q && !shuttingDown; q = queues.shift()) {
+          for (const d of q) {
+            if (shuttingDown) return;
+            if (!(await deliverHookItem(d))) {
+              down.add(d.hook_id);
+              break;
+            }
+          }
+        }
+      }));
+      if (due.length === HOOK_BATCH && !shuttingDown) hooksAgain = true;
+    } while (hooksAgain);
+  } finally {
+    deliveringHooks = false;
+  }
+}
+
+function kickHooks() {
+  if (shuttingDown) return;
+  deliverHooks().catch(err => console.error("HOOKS_FAIL", err));
+}
+
+// retry đến hạn (sự kiện mới thì emitEvent gọi ngay)
+const hookTimer = setInterval(kickHooks, TICK_SECONDS * 1000);
+
+function buildHookLogText(hookId, lang) {
+  const rows = db.prepare(`
+    SELECT * FROM hook_deliveries ${hookId ? "WHERE hook_id=?" : ""} ORDER BY id DESC LIMIT ?
+  `).all(...(hookId ? [hookId] : []), HOOK_LOG_MAX);
+  let text = `${t(lang, "hook_log_title")}\n\n`;
+  if (!rows.length) return text + t(lang, "empty_list");
+  for (const d of rows) {
+    const icon = d.status === "delivered" ? "✅" : d.status === "failed" ? "❌" : "⏳";
+    text += `${icon} ${t(lang, "hook_log_row", {
+      id: d.id,
+      hook: d.hook_id,
+      event: escHtml(d.event),
+      time: fmtUnix(d.created_at, lang),
+      attempts: d.attempts,
+      result: escHtml(String(d.last_status ?? d.last_error ?? "-"))
+    })}\n`;
+  }
+  return text;
+}
+
+// /hook — danh sách; add <event|all> <url>; remove <id>; log [id]; test <id>
+bot.command("hook", ctx => {
+  if (!can(ctx.from.id, "settings")) return;
+  const lang = ctxLang(ctx);
+  if (ctx.chat.type !== "private") return ctx.reply(t(lang, "dm_only", { cmd: "/hook" }));
+
+  const parts = (ctx.message.text || "").trim().split(/\s+/);
+  const sub = (parts[1] || "").toLowerCase();
+  const now = dayjs().unix();
+
+  if (!sub) {
+    const rows = db.prepare(`
+      SELECT h.*,
+        (SELECT COUNT(*) FROM hook_deliveries d WHERE d.hook_id = h.id AND d.status='delivered') AS delivered,
+        (SELECT COUNT(*) FROM hook_deliveries d WHERE d.hook_id = h.id AND d.status='pending') AS pending,
+        (SELECT COUNT(*) FROM hook_deliveries d WHERE d.hook_id = h.id AND d.status='failed') AS failed
+      FROM hooks h ORDER BY h.id ASC
+    `).all();
+    let text = `${t(lang, "hook_title")}\n\n`;
+    if (!rows.length) text += `${t(lang, "empty_list")}\n`;
+    for (const h of rows) text += `${t(lang, "hook_row", { ...h, url: escHtml(h.url) })}\n`;
+    return ctx.reply(text + `\n${t(lang, "hook_events", { events: [...HOOK_EVENTS, "all"].join(", ") })}`, {
+      parse_mode: "HTML",
+      disable_web_page_preview: true
+    });
+  }
+
+  if (sub === "add") {
+    const event = (parts[2] || "").toLowerCase();
+    const url = parts[3] || "";
+    if (!event || !url) return ctx.reply(t(lang, "usage_hook"));
+    if (event !== "all" && !HOOK_EVENTS.includes(event)) {
+      return ctx.reply(t(lang, "hook_bad_event", { events: [...HOOK_EVENTS, "all"].join(", ") }));
+    }
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch {}
+    if (!parsed || !["http:", "https:"].includes(parsed.protocol)) return ctx.reply(t(lang, "hook_bad_url"));
+
+    const secret = crypto.randomBytes(24).toString("hex");
+    const r = db.prepare(`INSERT OR IGNORE INTO hooks(event,url,secret,created_by,created_at) VALUES (?,?,?,?,?)`)
+      .run(event, parsed.href, secret, ctx.from.id, now);
+    if (!r.changes) return ctx.reply(t(lang, "hook_exists"));
+    // dòng đầu không chứa secret (audit log chỉ ghi dòng đầu)
+    return ctx.reply(
+      `${t(lang, "hook_added", { id: r.lastInsertRowid, event })}\n<code>${secret}</code>\n\n${t(lang, "hook_secret_once")}`,
+      { parse_mode: "HTML" }
+    );
+  }
+
+  if (sub === "log") {
+    return ctx.reply(buildHookLogText(Number(parts[2]) || null, lang), { parse_mode: "HTML" });
+  }
+
+  const id = Number(parts[2] || "");
+  if (!["remove", "test"].includes(sub) || !Number.isInteger(id)) return ctx.reply(t(lang, "usage_hook"));
+  const hook = db.prepare(`SELECT * FROM hooks WHERE id=?`).get(id);
+  if (!hook) return ctx.reply(t(lang, "hook_not_found", { id }));
+
+  if (sub === "remove") {
+    db.transaction(() => {
+      db.prepare(`UPDATE hook_deliveries SET status='failed', last_error='hook removed' WHERE hook_id=? AND status='pending'`).run(id);
+      db.prepare(`DELETE FROM hooks WHERE id=?`).run(id);
+    })();
+    return ctx.reply(t(lang, "hook_removed", { id }));
+  }
+
+  // test: sự kiện "ping" chỉ gửi tới hook này
+  const eventId = `ping:${now}:${crypto.randomBytes(4).toString("hex")}`;
+  db.prepare(`
+    INSERT INTO hook_deliveries(hook_id,event,event_id,payload,next_at,created_at) VALUES (?,?,?,?,?,?)
+  `).run(id, "ping", eventId, JSON.stringify({ id: eventId, event: "ping", created_at: now, data: { hook_id: id } }), now, now);
+  kickHooks();
+  return ctx.reply(t(lang, "hook_test_queued", { id }));
+});
+
+// ---------------- HTTP server (webhook / healthz / metrics) ----------------
+// WEBHOOK_DOMAIN có -> webhook (Telegram gửi update tới https://<domain><WEBHOOK_PATH>, header secret phải khớp);
+// không có -> long polling, HTTP server chỉ chạy khi đặt PORT
+const WEBHOOK_DOMAIN = process.env.WEBHOOK_DOMAIN || "";
+const WEBHOOK_PATH = process.env.WEBHOOK_PATH || "/telegram";
+// không đặt -> sinh mới mỗi lần chạy (setWebhook gửi lại mỗi lần launch)
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || crypto.randomBytes(32).toString("hex");
+const HTTP_PORT = Number(process.env.PORT || 0) || (WEBHOOK_DOMAIN ? 3000 : 0);
+const HTTP_HOST = process.env.HTTP_HOST || undefined;
+const SHUTDOWN_TIMEOUT_SECONDS = Math.max(1, Number(process.env.SHUTDOWN_TIMEOUT_SECONDS || 20));
+const ALLOWED_UPDATES = ["message", "callback_query", "chat_member"];
+
+// đếm từ lúc khởi động
+const metrics = { joins: 0, draws: 0, tickFailures: 0, sendFailures: { outbox: 0, post_edit: 0, webhook: 0 } };
+const startedAt = dayjs().unix();
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+// db đọc được + tick không bị treo -> 200, ngược lại 503
+// treo = không có tick xong trong 3 lượt, hoặc tick đang chạy mà không tiến (tickBeat) trong 3 lượt;
+// việc đang làm (bước của tick, giveaway đang quay, outbox / webhook đang gửi) báo riêng, không tính là lỗi
+function healthz(res) {
+  let dbOk = false;
+  try {
+    dbOk = db.prepare(`SELECT 1 AS ok`).get().ok === 1;
+  } catch (err) {
+    console.error("HEALTH_DB_FAIL", err?.message || err);
+  }
+  const now = dayjs().unix();
+  const tickAge = now - (lastTickAt ?? startedAt);
+  const beatAge = ticking ? now - tickBeatAt : null;
+  const tickOk = ticking ? beatAge <= TICK_SECONDS * 3 : tickAge <= TICK_SECONDS * 3;
+  const ok = dbOk && tickOk && !shuttingDown;
+  return sendJson(res, ok ? 200 : 503, {
+    ok,
+    mode: WEBHOOK_DOMAIN ? "webhook" : "polling",
+    db: dbOk,
+    last_tick: lastTickAt,
+    tick_age_seconds: tickAge,
+    tick_running: ticking ? { stage: tickStage, beat_age_seconds: beatAge } : null,
+    in_flight: { drawing: [...drawing], outbox: deliveringOutbox, webhooks: deliveringHooks },
+    uptime_seconds: now - startedAt,
+    shutting_down: shuttingDown
+  });
+}
+
+// Prometheus text format
+function metricsText() {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value] of samples) lines.push(`${name}${labels} ${value}`);
+  };
+  const outbox = { pending: 0, sent: 0, failed: 0 };
+  for (const r of db.prepare(`SELECT status, COUNT(*) AS n FROM outbox GROUP BY status`).all()) outbox[r.status] = r.n;
+  const running = db.prepare(`SELECT COUNT(*) AS c FROM giveaways WHERE ended = 0 AND canceled = 0`).get().c;
+
+  metric("giveaway_joins_total", "counter", "Successful joins since start", [["", metrics.joins]]);
+  metric("giveaway_draws_total", "counter", "Giveaways drawn since start", [["", metrics.draws]]);
+  metric("giveaway_tick_failures_total", "counter", "Scheduler ticks that failed since start", [["", metrics.tickFailures]]);
+  metric("giveaway_send_failures_total", "counter", "Failed Telegram sends since start",
+    Object.entries(metrics.sendFailures).map(([kind, n]) => [`{kind="${kind}"}`, n]));
+  metric("giveaway_outbox_messages", "gauge", "Outbox messages by status",
+    Object.entries(outbox).map(([status, n]) => [`{status="${status}"}`, n]));
+  const hooks = { pending: 0, delivered: 0, failed: 0 };
+  for (const r of db.prepare(`SELECT status, COUNT(*) AS n FROM hook_deliveries GROUP BY status`).all()) hooks[r.status] = r.n;
+  metric("giveaway_hook_deliveries", "gauge", "Webhook deliveries by status",
+    Object.entries(hooks).map(([status, n]) => [`{status="${status}"}`, n]));
+  metric("giveaway_running", "gauge", "Giveaways not yet drawn or canceled", [["", running]]);
+  metric("giveaway_last_tick_timestamp_seconds", "gauge", "Unix time of the last finished scheduler tick", [["", lastTickAt ?? 0]]);
+  return lines.join("\n") + "\n";
+}
+
+// request không phải update hợp lệ (sai path / secret) rơi xuống đây
+function httpRoutes(req, res) {
+  const path = (req.url || "").split("?")[0];
+  if (path.startsWith("/api/")) return handleApi(req, res);
+  if (req.method === "GET" && path === "/healthz") return healthz(res);
+  if (req.method === "GET" && path === "/metrics") {
+    res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4" });
+    return res.end(metricsText());
+  }
+  res.writeHead(WEBHOOK_DOMAIN && path === WEBHOOK_PATH ? 403 : 404);
+  return res.end();
+}
+
+// ---------------- launch ----------------
+// botInfo có rồi (nút Nhận quà cần username) -> quay bù giveaway đến hạn lúc bot tắt, rồi đặt timer
+function onLaunch() {
+  const overdue = db.prepare(`
+    SELECT COUNT(*) AS c FROM giveaways WHERE canceled = 0 AND paused = 0 AND announced = 0 AND end_time <= ?
+  `).get(dayjs().unix()).c;
+  if (overdue) console.log(`⏰ Catching up ${overdue} overdue giveaway(s)`);
+  runDueDraws();
+}
+
+// polling: HTTP server riêng cho /healthz /metrics; webhook: server của Telegraf, route khác -> httpRoutes
+let httpServer = null;
+if (WEBHOOK_DOMAIN) {
+  bot.launch({
+    allowedUpdates: ALLOWED_UPDATES,
+    webhook: { domain: WEBHOOK_DOMAIN, path: WEBHOOK_PATH, port: HTTP_PORT, host: HTTP_HOST, secretToken: WEBHOOK_SECRET, cb: httpRoutes }
+  }, onLaunch).catch(err => {
+    // không set được webhook -> không nhận update nào, thoát để supervisor khởi động lại
+    console.error("WEBHOOK_LAUNCH_FAIL", err?.response?.description || err);
+    process.exit(1);
+  });
+} else {
+  bot.launch({ allowedUpdates: ALLOWED_UPDATES }, onLaunch);
+  if (HTTP_PORT) httpServer = http.createServer(httpRoutes).listen(HTTP_PORT, HTTP_HOST);
+}
+console.log(`🤖 Giveaway bot is running (${WEBHOOK_DOMAIN ? "webhook" : "polling"})...`);
+
+// ---------------- graceful shutdown ----------------
+// ngừng nhận update + timer, chờ lượt quay / công bố / outbox / việc nền (re-check, loại người rời, sửa post) đang chạy xong (tối đa SHUTDOWN_TIMEOUT_SECONDS), đóng db
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`🛑 ${signal}: shutting down...`);
+
+  try {
+    bot.stop(signal);
+  } catch (err) {
+    console.error("BOT_STOP_FAIL", err?.message || err);
+  }
+  httpServer?.close();
+  clearInterval(tickTimer);
+  clearInterval(hookTimer);
+  clearTimeout(drawTimer);
+  for (const s of postUpdates.values()) clearTimeout(s.timer);
+
+  const deadline = Date.now() + SHUTDOWN_TIMEOUT_SECONDS * 1000;
+  const busy = () => ticking || drawing.size || deliveringOutbox || deliveringHooks || prechecking || droppingLeavers ||
+    [...postUpdates.values()].some(s => s.running);
+  while (busy() && Date.now() < deadline) await sleep(100);
+  if (busy()) console.error("SHUTDOWN_TIMEOUT", [...drawing]);
+
+  db.close();
+  process.exit(0);
+}
 
-process.once("SIGINT", () => bot.stop("SIGINT"));
-process.once("SIGTERM", () => bot.stop("SIGTERM"));
+process.once("SIGINT", () => shutdown("SIGINT"));
+process.once("SIGTERM", () => shutdown("SIGTERM"));
@@ -0,0 +1,516 @@
+// English
+module.exports = {
+  lang_name: "English",
+  date_format: "MMM D, YYYY HH:mm",
+
+  // ---------------- common ----------------
+  none: "None",
+  empty_list: "(none yet)",
+  not_found: "Giveaway not found.",
+  not_found_x: "❌ Giveaway not found.",
+  dm_only: "ℹ️ Use {cmd} in a private chat with the bot.",
+  usage: "Usage: {usage}",
+  usage_cancel: "Usage: /cancel <id> [reason]",
+  usage_bonus: "Usage: /bonus <id> <user_id> <±tickets>",
+  usage_bonusrule: "Usage: /bonusrule <id> [member <chat_id|@channel> <tickets> | boost <tickets> | clear]",
+  usage_bonusrule_add: "Usage: /bonusrule <id> member <chat_id|@channel> <tickets> or /bonusrule <id> boost <tickets>",
+  usage_require: "Usage: /require <id> [member <chat_id|@channel> | captcha | question <question>|<answer> | tenure <hours> | clear]\n(member of a channel: the bot must be an admin of that channel)",
+  usage_reroll: "Usage: /reroll <id> <user_id> [reason]",
+  no_group: "⚠️ No group set. Run /setgroup in the group",
+  tier_n: "Tier {n}",
+  btn_join: "🎉 Join",
+  btn_claim: "🎁 Claim prize",
+
+  // ---------------- language ----------------
+  lang_current: "🌐 Current language: <b>{name}</b> (<code>{code}</code>)\n\nChange: {list}",
+  lang_set_chat: "✅ Group language: <b>{name}</b>",
+  lang_set_user: "✅ Your language: <b>{name}</b>",
+  lang_bad: "❌ Unsupported language. Available: {list}",
+  lang_group_admin_only: "🔒 Only group admins can change the group language.",
+
+  // ---------------- public posts ----------------
+  gw_title: "🎉 <b>GIVEAWAY</b> 🎉",
+  gw_prizes: "🎁 <b>Prizes:</b>",
+  gw_content: "📌 <b>Prize:</b> {prize}",
+  gw_sponsor: "🤝 <b>Sponsor:</b> {sponsor}",
+  gw_draw_time: "⏰ <b>Draw time:</b> {time}",
+  gw_countdown: "⏳ <b>Time left:</b> {left}",
+  countdown_days: "{d}d {h}h",
+  countdown_hours: "{h}h {m}m",
+  countdown_minutes: "{m} min",
+  countdown_soon: "less than a minute",
+  gw_start: "🗓 <b>Starts:</b> {time}",
+  gw_winners: "🏆 <b>Winners:</b> {n}",
+  gw_count: "👥 <b>Participants:</b> {n}",
+  gw_cta: "👇 Tap the button below to join!",
+  gw_paused: "⏸ <b>Entries are paused.</b>",
+  gw_updated: "✏️ <i>Updated {time}</i>",
+
+  win_title: "🎉 <b>CONGRATULATIONS TO THE WINNERS!</b> 🎉",
+  win_list: "🏆 <b>Winners:</b>",
+  win_reward: "🎁 <b>Prize:</b> {prize}",
+  win_claim_before: "📩 Tap 🎁 <b>Claim prize</b> before <b>{time}</b>, otherwise the prize goes to the next in line.",
+  win_contact: "📩 Please contact the sponsor to receive your prize.",
+
+  cancel_title: "⛔ <b>GIVEAWAY CANCELED</b>",
+  cancel_joined: "👥 <b>Joined:</b> {n}",
+  cancel_reason: "📝 <b>Reason:</b> {reason}",
+  cancel_notice: "⛔ Giveaway #{id} has been <b>canceled</b>.",
+
+  empty_end: "⛔ Giveaway #{id} ended with no participants.",
+
+  // ---------------- proof / verify ----------------
+  proof_title: "🔒 <b>PROOF (DM only)</b>",
+  proof_drawn_at: "⏰ <b>Drawn at:</b> {time}",
+  proof_not_revealed: "Not revealed yet",
+  proof_not_frozen: "Not frozen yet",
+  proof_excluded: "🚫 <b>Ineligible / excluded ({n}):</b>",
+  proof_flagged: "⚠️ <b>Flagged as suspicious ({n}):</b>",
+  proof_more: "… and {n} more",
+  proof_steps:
+    "✅ <b>Verify:</b>\n" +
+    "1. sha256(seed) = commit\n" +
+    "2. participants_hash = sha256(user_ids ascending, joined by \",\"; users with w&gt;1 tickets as \"user_id:w\")\n" +
+    "3. key = HMAC_SHA256(seed, participants_hash)\n" +
+    "4. user's ticket t: HMAC_SHA256(key, \"&lt;id&gt;:&lt;user_id&gt;\") (t=0), \"&lt;id&gt;:&lt;user_id&gt;:&lt;t&gt;\" (t≥1)\n" +
+    "5. rank = user's smallest ticket, sort asc, take the top N.\n" +
+    "Check offline: <code>node verify.js --export {id} &gt; bundle.json</code> then <code>node verify.js bundle.json</code>",
+
+  verify_title: "🔎 <b>VERIFY GIVEAWAY #{id}</b>",
+  verify_canceled: "⛔ This giveaway was canceled, there is no result.",
+  verify_seed_pending: "🔓 <b>Seed:</b> Not revealed yet\n\n⏰ The seed is revealed after the draw ({time}).",
+  verify_stats: "👥 <b>Joined:</b> {joined} | 🎟 <b>Total tickets:</b> {tickets} | 🏆 <b>Won:</b> {won}",
+  verify_rerolls: "🔁 <b>Rerolls:</b> {n} (next in the ranking)",
+  verify_cutoff: "✂️ <b>Winning cutoff (rank #{n}):</b> <code>{rank}</code>",
+  verify_not_joined: "ℹ️ You did not join this giveaway.",
+  verify_lost: "Not a winner",
+  verify_won_expired: "⌛ Won but missed the claim deadline",
+  verify_won_replaced: "🚫 Won but disqualified",
+  verify_won: "🏆 Winner",
+  verify_your_tickets: "🎟 <b>Your tickets:</b> {n}",
+  verify_your_rank: "🙋 <b>Your rank:</b> <code>{rank}</code>",
+  verify_position: "📍 <b>Position:</b> {pos}/{total} → {result}",
+  verify_howto:
+    "✅ <b>Compute it yourself:</b> key = HMAC_SHA256(seed, participants_hash), " +
+    "rank = min HMAC_SHA256(key, \"{id}:&lt;user_id&gt;[:&lt;t&gt;]\") over the tickets, sort asc, " +
+    "rank ≤ cutoff wins.",
+
+  // ---------------- /giveaway usage ----------------
+  usage_giveaway:
+    "❌ Invalid syntax\n" +
+    "Usage:\n" +
+    "/giveaway <winners>|<HH:mm DD/MM/YYYY>|<prize>|<sponsor>\n\n" +
+    "Example:\n" +
+    "/giveaway 3|22:00 20/01/2026|ADMIN CHATGPT BUSINESS 1 MONTH|@zaaraowo\n\n" +
+    "Multiple prize tiers (sum = winners):\n" +
+    "/giveaway 4|22:00 20/01/2026|1x First prize; 3x Second prize|@zaaraowo\n\n" +
+    "Scheduled start (<start> - <draw>):\n" +
+    "/giveaway 3|20:00 19/01/2026 - 22:00 20/01/2026|ADMIN CHATGPT BUSINESS 1 MONTH|@zaaraowo\n\n" +
+    "Post to several groups (ids from /groups, or all):\n" +
+    "/giveaway 3|22:00 20/01/2026|ADMIN CHATGPT BUSINESS 1 MONTH|@zaaraowo|groups=1,3\n\n" +
+    "Or use the form:\n" +
+    "/newgiveaway",
+
+  // ---------------- form ----------------
+  form_expired: "The form has expired. Use /newgiveaway or /drafts to continue.",
+  form_step1: "🧾 <b>Create Giveaway (Form)</b>\n\nStep 1/5: Choose the <b>number of winners</b>",
+  form_step2:
+    "Step 2/5: Enter the <b>draw time</b> as:\n<code>HH:mm DD/MM/YYYY</code>\nExample: <code>22:00 20/01/2026</code>\n\n" +
+    "Scheduled start (optional): <code>20:00 19/01/2026 - 22:00 20/01/2026</code>\n\nType /abort to cancel.",
+  form_step3: "Step 3/5: Enter the <b>prize</b>\n\nMultiple tiers: <code>1x First prize; 2x Second prize</code> (sum = {n} winners)",
+  form_step4: "Step 4/5: Enter the <b>sponsor</b> (e.g. @zaaraowo)",
+  form_btn_custom: "Other",
+  form_btn_abort: "❌ Cancel form",
+  form_btn_create: "✅ Create giveaway",
+  form_btn_save: "💾 Save draft",
+  form_btn_edit_winners: "✏️ Winners",
+  form_btn_edit_time: "✏️ Time",
+  form_btn_edit_prize: "✏️ Prize",
+  form_btn_edit_sponsor: "✏️ Sponsor",
+  form_btn_cancel: "❌ Cancel",
+  form_btn_groups: "🎯 Choose groups",
+  form_btn_done: "✅ Done",
+  form_groups_prompt: "🎯 Choose the <b>groups</b> to post in (several = one shared giveaway, each person counts once):",
+  form_groups_min: "Choose at least one group.",
+  preview_groups: "🎯 <b>Groups:</b> {groups}",
+  preview_title: "🧾 <b>GIVEAWAY PREVIEW</b>",
+  preview_past: " ⚠️ <b>in the past</b>",
+  preview_reward: "🎁 <b>Prize:</b> {prize}",
+  preview_hint: "Tap ✅ to create and post to the group, 💾 to save a draft, ✏️ to edit.",
+  form_aborted: "✅ Form canceled.",
+  form_custom_prompt: "Enter the <b>number of winners</b> (e.g. 7).\n\nType /abort to cancel.",
+  form_cb_ok: "OK",
+  form_cb_enter_number: "Enter a number",
+  form_cb_edit: "Edit",
+  form_cb_saved: "Saved",
+  form_cb_enter_name: "Enter a name",
+  form_cb_aborted: "Canceled",
+  form_cb_created: "Created",
+  form_no_group: "No group set (/setgroup).",
+  form_missing: "The form is incomplete.",
+  form_time_past: "⏰ The draw time has passed, tap ✏️ Time to change it.",
+  form_creating: "⏳ Creating giveaway...",
+  form_draft_name_prompt: "💾 Enter a <b>draft name</b> (e.g. Sponsor ABC next week)",
+  form_draft_name_short: "❌ Draft name is too short.",
+  form_bad_number: "❌ Invalid number. Enter a number from 1 to 1000.",
+  form_winners_set: "✅ Winners: <b>{n}</b>\n\n",
+  form_bad_time: "❌ Wrong format. Example: 22:00 20/01/2026",
+  form_time_future: "❌ The time must be in the future.",
+  form_bad_range: "❌ The start time must be before the draw time.",
+  form_prize_short: "❌ Prize is too short.",
+  form_bad_tiers: "❌ The tier winners must add up to {n}.",
+  form_sponsor_short: "❌ Sponsor is too short.",
+  giveaway_dm_only: "ℹ️ Create giveaways in DM or use /newgiveaway.",
+
+  // ---------------- drafts ----------------
+  drafts_empty: "📝 No drafts yet. Start with /newgiveaway and tap 💾 Save draft.",
+  drafts_title: "📝 <b>GIVEAWAY DRAFTS</b>",
+  drafts_no_prize: "(no prize yet)",
+  draft_saved: "💾 Saved draft #{id}. Open it again with /drafts.",
+  draft_saved_named: "💾 Saved draft #{id} \"{name}\". Open it again with /drafts.",
+  draft_not_found: "Draft not found.",
+  draft_opened: "Opened draft #{id}",
+  draft_header: "📝 Draft #{id} <b>{name}</b>\n\n",
+  draft_deleted: "Draft deleted",
+
+  // ---------------- start / group ----------------
+  welcome: "Welcome",
+  ref_closed: "⏳ This giveaway does not exist or is closed.",
+  ref_already_joined: "❗ You already joined this giveaway, the invite link does not count.",
+  ref_self: "⚠️ You cannot invite yourself.\n\n",
+  setgroup_hint: "Run /setgroup in the group where the bot should post giveaways",
+  setgroup_done: "✅ Linked group {name} and set it as default: <code>{id}</code>",
+  group_current: "📌 Default group: {name} (<code>{id}</code>)",
+  groups_title: "🌐 <b>LINKED GROUPS</b> (⭐ = default)",
+  groups_hint: "Run /setgroup in a group to link it. Post to several groups: <code>/giveaway ...|groups=1,3</code> or the 🎯 button in the form.",
+  group_not_found: "❌ Group not found. See /groups",
+  group_unlinked: "✅ Unlinked group #{id} (<code>{chat}</code>).",
+  groups_bad: "❌ Invalid groups. Use ids from /groups, e.g. groups=1,3 or groups=all",
+  group_unset: "⚠️ No group set. Run /setgroup in the group",
+
+  // ---------------- help ----------------
+  help_title: "📌 <b>GIVEAWAY BOT - HELP</b>",
+  help_user:
+    "👤 <b>User:</b>\n" +
+    "• <code>/start</code> - Start\n" +
+    "• Join a giveaway: tap 🎉 Join in the group\n" +
+    "• <code>/verify &lt;id&gt;</code> - Check the result and your rank (DM the bot)\n" +
+    "• <code>/ref &lt;id&gt;</code> - Personal invite link, +1 ticket per invite (DM the bot)\n" +
+    "• <code>/lang [vi|en]</code> - Change language (DM: yours, group: the group's)\n",
+  help_admin_dm:
+    "🛠️ <b>Admin (DM the bot):</b>\n" +
+    "• <code>/newgiveaway</code> - Create a giveaway with the form\n" +
+    "• <code>/drafts</code> - Saved giveaway drafts (reopen / delete)\n" +
+    "• <code>/giveaway &lt;winners&gt;|&lt;HH:mm DD/MM/YYYY&gt;|&lt;prize&gt;|&lt;sponsor&gt;</code> - Quick create\n" +
+    "• <code>/proof &lt;id&gt;</code> - Show Commit/Seed/Verify (DM only)\n" +
+    "• <code>/export &lt;id&gt; [csv|json]</code> - File with participants + winners + proof; <code>/export &lt;from DD/MM/YYYY&gt; &lt;to DD/MM/YYYY&gt; [csv|json]</code> - Multi-giveaway report\n" +
+    "• <code>/announce &lt;id&gt;</code> - (Fallback) post the result to the group\n" +
+    "• <code>/bonus &lt;id&gt; &lt;user_id&gt; &lt;±tickets&gt;</code> - Add/remove bonus tickets\n" +
+    "• <code>/bonusrule &lt;id&gt; [member &lt;chat&gt; &lt;tickets&gt; | boost &lt;tickets&gt; | clear]</code> - Bonus ticket rules on join\n" +
+    "• <code>/require &lt;id&gt; [member &lt;chat&gt; | captcha | question &lt;q&gt;|&lt;a&gt; | tenure &lt;hours&gt; | clear]</code> - Entry requirements\n" +
+    "• <code>/refcap &lt;id&gt; &lt;n&gt;</code> - Max tickets per user from referrals\n" +
+    "• <code>/referrals &lt;id&gt;</code> - Referral leaderboard\n" +
+    "• <code>/reroll &lt;id&gt; &lt;user_id&gt; [reason]</code> - Disqualify a winner, pass the prize to the next in line\n" +
+    "• <code>/series add|list|pause|resume|delete</code> - Recurring giveaways (e.g. every Friday 20:00)\n",
+  help_admin_any:
+    "🛠️ <b>Admin (group or DM):</b>\n" +
+    "• <code>/setgroup</code> - Link the group and make it the default\n" +
+    "• <code>/groups</code> - Linked groups / <code>/unlinkgroup &lt;id&gt;</code> - Unlink a group\n" +
+    "• <code>/group</code> - Show the default group\n" +
+    "• <code>/history [group id]</code> - Last 10 giveaways (filter by group)\n" +
+    "• <code>/ginfo &lt;id&gt;</code> - Info + winners (proof only shown in DM)\n" +
+    "• <code>/cancel &lt;id&gt; [reason]</code> - Cancel a giveaway\n" +
+    "• <code>/edit &lt;id&gt; prize|sponsor|winners &lt;value&gt;</code> - Edit a running giveaway\n" +
+    "• <code>/extend &lt;id&gt; &lt;HH:mm DD/MM/YYYY&gt;</code> - Change the draw time\n" +
+    "• <code>/pause &lt;id&gt;</code> / <code>/resume &lt;id&gt;</code> - Pause / resume entries\n" +
+    "• <code>/audit [id] [page]</code> - Admin action log (<code>/audit verify</code> checks the hash chain)\n" +
+    "• <code>/stats</code> - Statistics (DM) / <code>/stats sponsor &lt;name&gt;</code> - Report to forward to a sponsor\n" +
+    "• <code>/ban &lt;user_id&gt; [#group] [reason]</code> / <code>/unban</code> / <code>/banlist [group id]</code> - Blacklist\n" +
+    "• <code>/cooldown [days|giveaways &lt;n&gt; | off]</code> - Exclude recent winners\n" +
+    "• <code>/antifraud</code> - Suspicious entry flags (no username / photo, join bursts)\n" +
+    "• <code>/outbox</code> - Stuck outgoing messages / <code>/outbox retry &lt;id|all&gt;</code> - Resend\n" +
+    "• <code>/apikey [add &lt;name&gt; | revoke &lt;id&gt;]</code> - REST API keys (DM)\n" +
+    "• <code>/hook [add &lt;event&gt; &lt;url&gt; | remove &lt;id&gt; | log [id] | test &lt;id&gt;]</code> - Event webhooks (DM)\n",
+  help_admin_only: "🔒 Some commands are admin only.",
+  help_owner:
+    "👑 <b>Owner:</b>\n" +
+    "• <code>/admins</code> - List owners / admins / sponsors\n" +
+    "• <code>/addadmin &lt;user_id&gt;</code> - Add an admin\n" +
+    "• <code>/removeadmin &lt;user_id&gt;</code> - Remove a role\n" +
+    "• <code>/setrole &lt;user_id&gt; owner|admin|sponsor</code> - Set a role\n",
+
+  // ---------------- /ref ----------------
+  ref_gw_closed: "⏳ This giveaway is closed.",
+  ref_join_first: "❌ Join the giveaway before inviting others.",
+  ref_link:
+    "🔗 <b>Invite link for giveaway #{id}:</b>\n{link}\n\n" +
+    "🎟 Each person who joins the group and the giveaway through your link: +1 ticket (max {cap}). Existing members don't count.\n" +
+    "✅ Received: {credited}",
+
+  // ---------------- admin ----------------
+  history_title: "📜 <b>GIVEAWAY HISTORY</b>",
+  status_canceled_short: "⛔ Canceled",
+  status_canceled: "⛔ Canceled",
+  status_drawn: "✅ Drawn",
+  status_running: "⏳ Running",
+  status_scheduled: "🗓 Scheduled",
+  status_paused: "⏸ Paused",
+  ginfo_title: "ℹ️ <b>Giveaway #{id}</b>",
+  ginfo_joined: "👥 <b>Joined:</b> {n}",
+  ginfo_ineligible: "🚫 <b>Ineligible:</b> {n} (left the group / excluded, details in the DM proof)",
+  ginfo_series: "🔁 <b>Series:</b> #{id}",
+  ginfo_groups: "🌐 <b>Groups:</b> {groups}",
+  ginfo_status: "📌 <b>Status:</b> {status}",
+  ginfo_announced: "✅ Result posted",
+  ginfo_not_announced: "❌ Result not posted",
+  ginfo_announce: "📣 <b>Announce:</b> {status}",
+  ginfo_cancel_reason: "📝 <b>Cancel reason:</b> {reason}",
+  ginfo_winners: "🏆 <b>Winners:</b>",
+  ginfo_legend: "(⏳ pending | ✅ claimed | ⌛ expired | 🚫 disqualified)",
+  ginfo_proof_dm: "🔒 Proof (Commit/Seed/Verify) is DM only: use <code>/proof {id}</code>",
+
+  cancel_already: "⚠️ This giveaway was already canceled.",
+  cancel_ended: "⚠️ This giveaway has ended and cannot be canceled.",
+  cancel_done: "✅ Canceled giveaway #{id}.",
+
+  gw_closed_tickets: "⚠️ This giveaway is closed, tickets can no longer change.",
+  gw_finished: "⚠️ This giveaway has ended.",
+  bonus_not_joined: "❌ This user has not joined the giveaway.",
+  bonus_done: "✅ User {user} has {n} tickets in giveaway #{id}.",
+  bonusrule_cleared: "✅ Cleared the bonus ticket rules of giveaway #{id}.",
+  bonusrule_title: "🎟 <b>Bonus ticket rules #{id}</b> (1 ticket by default, max {max})",
+  bonusrule_boost: "• Group booster: +{n}",
+  bonusrule_member: "• Member of <code>{chat}</code>: +{n}",
+  require_cleared: "✅ Cleared the entry requirements of giveaway #{id}.",
+  require_title: "🛡 <b>Entry requirements #{id}</b>",
+  require_member: "• Member of <code>{chat}</code>",
+  require_tenure: "• In the group for at least {hours} hours",
+  require_tenure_note: "ℹ️ Time in the group counts from the first time the bot saw the user join or post in the group. Members who joined before the bot and haven't posted are refused until they post once and wait the required hours.",
+  require_captcha: "• Captcha (in the bot's DM)",
+  require_question: "• Answer a question (in the bot's DM): {question} → <code>{answer}</code>",
+  refcap_done: "✅ Giveaway #{id}: at most {cap} referral tickets per user.",
+  referrals_title: "🔗 <b>REFERRALS #{id}</b> (max {cap} tickets per user)",
+  referrals_row: "{i}. {name} ({user}) — ✅ {invited} invited | 🎟 +{credited}",
+
+  reroll_not_drawn: "⚠️ This giveaway has not been drawn or was canceled.",
+  reroll_not_winner: "❌ This user is not an active winner of the giveaway.",
+  reroll_done: "✅ Disqualified {user}, replaced by {name} ({next}) — rank #{pos}.",
+  reroll_done_none: "✅ Disqualified {user}. Nobody left to replace them.",
+  reroll_reason_default: "disqualified",
+  reroll_reason_expired: "did not claim in time",
+  reroll_title: "🔁 <b>REROLL GIVEAWAY #{id}</b>",
+  reroll_new: "🎉 New winner: <b>{name}</b> ({user}) — rank #{pos}",
+  reroll_verify: "🔎 Next in the same ranking, check with <code>/verify {id}</code>.",
+  reroll_none: "⚠️ No participants left to replace them.",
+
+  announce_canceled: "This giveaway was canceled.",
+  announce_not_drawn: "This giveaway has not reached its draw time or has not been drawn.",
+  announce_no_winners: "No winners in the DB yet (the bot may not have drawn).",
+  announce_done: "✅ Queued the result of giveaway #{id} for the group (see /outbox if it doesn't arrive).",
+
+  created: "✅ Created giveaway #{id}\n⏰ Draw at: {time}",
+  scheduled: "🗓 Scheduled giveaway #{id}\n📢 Posts at: {start}\n⏰ Draw at: {time}",
+  scheduled_post_fail: "⚠️ Giveaway #{id}: could not post to {groups}. The bot retries every tick; if it still isn't posted everywhere by {time}, the giveaway is canceled (no draw).",
+  scheduled_post_abandoned: "⛔ Giveaway #{id} was canceled: it still couldn't be posted to {groups} at draw time, so it never opened.",
+  scheduled_post_reason: "could not be posted to a group",
+  create_fail: "❌ The bot could not post to the group. Make sure it has permission and /setgroup was run.",
+  create_fail_groups: "⚠️ Could not post to: {groups}",
+
+  // ---------------- roles ----------------
+  no_permission: "⛔ You don't have permission for this command / giveaway.",
+  role_owner: "Owner",
+  role_admin: "Admin",
+  role_sponsor: "Sponsor",
+  admins_title: "👥 <b>OWNERS / ADMINS / SPONSORS</b>",
+  admins_added_by: "added by {user} at {time}",
+  admins_group_on: "👮 Telegram group admins can manage giveaways in their own group (GROUP_ADMINS=1).",
+  admins_group_off: "👮 Telegram group admins have no giveaway permissions (enable with GROUP_ADMINS=1).",
+  usage_addadmin: "Usage: /addadmin <user_id>",
+  usage_removeadmin: "Usage: /removeadmin <user_id>",
+  usage_setrole: "Usage: /setrole <user_id> owner|admin|sponsor",
+  role_set: "✅ <code>{user}</code> is now {role}.",
+  role_removed: "✅ Removed the role of <code>{user}</code>.",
+  role_not_found: "⚠️ {user} has no role.",
+  role_env_owner: "⚠️ {user} is an owner from ADMIN_IDS and can only be changed in the config.",
+  role_last_owner: "⚠️ The last owner cannot be removed.",
+
+  // ---------------- audit ----------------
+  usage_audit: "Usage: /audit [giveaway id] [page] or /audit verify",
+  audit_title: "🧾 <b>ADMIN AUDIT LOG</b> (page {page}/{pages})",
+  audit_empty: "(empty)",
+  audit_ok: "✅ Audit hash chain is intact ({n} entries).",
+  audit_broken: "🚨 The audit log was tampered with: hash chain breaks at entry #{id}.",
+  btn_prev: "◀️ Prev",
+  btn_next: "Next ▶️",
+
+  // ---------------- stats ----------------
+  usage_stats: "Usage: /stats or /stats sponsor <name>",
+  stats_title: "📊 <b>STATISTICS</b>",
+  stats_giveaways: "🎁 <b>Giveaways:</b> {total} (✅ drawn {drawn} | ⏳ running {running} | ⛔ canceled {canceled})",
+  stats_entries: "👥 <b>Entries:</b> {entries} | <b>unique users:</b> {users}",
+  stats_avg: "📈 <b>Avg. participants / giveaway:</b> {avg}",
+  stats_winners: "🏆 <b>Winners:</b> {won} | ✅ claimed: {claimed}",
+  stats_growth: "📅 <b>By month (drawn):</b>",
+  stats_month: "• {month}: {n} giveaways, {entries} entries",
+  stats_top: "🔥 <b>Most active participants:</b>",
+  stats_top_row: "{entries} entries, {wins} wins",
+  stats_repeat: "🔁 <b>Won 2+ times:</b> {n} users",
+  stats_repeat_row: "{wins} wins",
+  stats_sponsors: "🤝 <b>By sponsor:</b>",
+  stats_sponsor_row: "{n} giveaways, reached {reach} users, {winners} winners",
+  stats_sponsor_hint: "📣 Sponsor report: <code>/stats sponsor &lt;name&gt;</code>",
+  report_title: "📣 <b>SPONSOR REPORT: {sponsor}</b>",
+  report_period: "🗓 {from} → {to}",
+  report_giveaways: "🎁 <b>Giveaways:</b> {n} (✅ drawn {drawn})",
+  report_not_found: "No giveaways found for sponsor {sponsor}.",
+
+  // ---------------- export ----------------
+  usage_export: "Usage: /export <id> [csv|json] or /export <from DD/MM/YYYY> <to DD/MM/YYYY> [csv|json]",
+  export_empty: "No giveaways have a draw time in this period.",
+  export_caption: "📦 Giveaway #{id}",
+  export_caption_verify: "📦 Giveaway #{id} — verify it yourself: node verify.js giveaway-{id}.json",
+  export_bulk_caption: "📦 {n} giveaways ({from} → {to})",
+
+  // ---------------- blacklist / cooldown / anti-fraud ----------------
+  usage_ban: "Usage: /ban <user_id> [#group id] [reason] (no #group id = every giveaway)",
+  usage_unban: "Usage: /unban <user_id> [#group id]",
+  ban_scope_all: "every giveaway",
+  ban_done: "🚫 Banned <code>{user}</code> ({scope}).",
+  unban_done: "✅ Unbanned <code>{user}</code> ({scope}).",
+  unban_not_found: "⚠️ <code>{user}</code> is not on the blacklist ({scope}).",
+  banlist_title: "🚫 <b>BLACKLIST</b>",
+  usage_cooldown: "Usage: /cooldown [days <n> | giveaways <n> | off]",
+  cooldown_days: "won in the last {n} days",
+  cooldown_giveaways: "won in the last {n} giveaways",
+  cooldown_off: "off",
+  cooldown_current: "⏳ Winner cooldown: {rule}",
+  usage_antifraud: "Usage: /antifraud [username on|off | photo on|off | burst <n> <seconds> | burst off | mode flag|exclude]",
+  af_current:
+    "🕵️ <b>Anti-fraud</b>\n" +
+    "• No username: {username}\n" +
+    "• No profile photo: {photo}\n" +
+    "• Join bursts: {burst}\n" +
+    "• Action: {mode}",
+  af_on: "on",
+  af_off: "off",
+  af_burst: "≥ {n} joins within {sec} seconds",
+  af_mode_flag: "flag only (shown in the proof)",
+  af_mode_exclude: "exclude from the giveaway",
+  flag_no_username: "no username",
+  flag_no_photo: "no profile photo",
+  flag_burst: "join burst",
+  excluded_banned: "blacklisted",
+  excluded_cooldown: "on cooldown",
+  excluded_suspicious: "suspicious",
+  excluded_left: "left the group",
+
+  // ---------------- edit / extend / pause ----------------
+  usage_edit: "Usage: /edit <id> prize|sponsor|winners <value>",
+  usage_extend: "Usage: /extend <id> <HH:mm DD/MM/YYYY>",
+  edit_locked: "⚠️ This giveaway was drawn, canceled or has reached its draw time, it can no longer be changed.",
+  edit_done: "✅ Updated giveaway #{id}: {field} → {value}",
+  edit_bad_tiers: "❌ Invalid prize tiers. Example: 1x First prize; 2x Second prize",
+  edit_winners_tiers: "❌ Giveaway #{id} has several prize tiers, change the winners by editing the prize: /edit {id} prize 1x First prize; 2x Second prize",
+  extend_done: "✅ Giveaway #{id} will be drawn at {time}.",
+  pause_done: "⏸ Paused giveaway #{id}.",
+  pause_already: "⚠️ Giveaway #{id} is already paused.",
+  resume_done: "▶️ Resumed giveaway #{id}.",
+  resume_not_paused: "⚠️ Giveaway #{id} is not paused.",
+  resume_overdue: "⚠️ The draw time has passed, the giveaway will be drawn right away.",
+
+  // ---------------- series ----------------
+  weekdays: "sun,mon,tue,wed,thu,fri,sat",
+  daily: "daily",
+  usage_series:
+    "Usage:\n" +
+    "/series add <days> <HH:mm>|<hours open>|<winners>|<prize>|<sponsor>\n" +
+    "/series list | pause <id> | resume <id> | delete <id>\n\n" +
+    "Days: daily or sun,mon..sat, comma separated\n" +
+    "Example (every Friday 20:00, open for 48 hours):\n" +
+    "/series add fri 20:00|48|3|ADMIN CHATGPT BUSINESS 1 MONTH|@zaaraowo",
+  series_title: "🔁 <b>RECURRING GIVEAWAYS</b>",
+  series_row: "#{id} {state} {days} {time} · {hours}h · 🏆 {winners} | {prize}\n   ⏭ {next} | 📜 {runs} runs",
+  series_created: "✅ Created series #{id}.",
+  series_not_found: "❌ Series not found.",
+  series_paused: "⏸ Paused series #{id}.",
+  series_resumed: "▶️ Resumed series #{id}, next run: {time}.",
+  series_deleted: "🗑 Deleted series #{id} (giveaways already created are kept).",
+
+  // ---------------- join ----------------
+  join_not_found: "❌ Giveaway does not exist",
+  join_canceled: "⛔ This giveaway was canceled",
+  join_closed: "⏳ This giveaway is closed / drawn",
+  join_not_member: "❌ You must be a member of the group to join",
+  join_already: "❗ You already joined",
+  join_not_started: "🗓 This giveaway has not started yet",
+  join_paused: "⏸ This giveaway is paused",
+  join_banned: "🚫 You are not allowed to join this giveaway (reason: {reason})",
+  join_cooldown: "⏳ You won recently and can't join yet ({rule})",
+  join_suspicious: "🕵️ This account was flagged as suspicious: {flags}",
+  join_ok: "🎉 You're in!",
+  join_ok_tickets: "🎉 You're in! 🎟 {n} tickets",
+  join_ref_hint: "🔗 DM the bot /ref {id} to get an invite link (+tickets).",
+
+  req_member: "❌ Join {chat} before entering this giveaway",
+  req_tenure: "❌ You must have been in the group for at least {hours} hours (you have {have})",
+  req_tenure_unknown: "❌ You must have been in the group for at least {hours} hours. The bot hasn't seen you in the group yet: send a message in the group, then you can join {hours} hours later.",
+  req_verify: "🤖 Please verify in the bot's DM before joining",
+  req_captcha: "🤖 Giveaway #{id} — verification: reply with the result of <b>{a} + {b}</b>",
+  req_question: "❓ Giveaway #{id} — answer the question (send one message):\n<b>{question}</b>",
+  req_ok: "✅ Correct!",
+  req_wrong: "❌ Wrong, {left} attempts left.",
+  req_locked: "⛔ Too many wrong answers. Try again after {time}.",
+  req_passed: "✅ You meet the requirements of giveaway #{id}. Press the button below to join.",
+
+  // ---------------- claim ----------------
+  claim_dm: "🎉 You won giveaway #{id}!",
+  claim_deadline: "⏰ <b>Claim by:</b> {time}",
+  claim_press: "Tap the button below to claim your prize.",
+  claim_not_winner: "❌ You are not a winner of this giveaway.",
+  claim_already: "✅ You already claimed your prize.",
+  claim_gone: "⌛ Your prize expired or was passed to someone else.",
+  claim_prompt_deadline: "⏰ Claim by: {time}",
+  claim_cb_not_winner: "❌ You are not a winner",
+  claim_cb_already: "✅ Already claimed",
+  claim_cb_expired: "⌛ The claim deadline has passed",
+  claim_done: "✅ Prize claimed for giveaway #{id}.\n🤝 <b>Sponsor:</b> {sponsor} will contact you.",
+  claim_admin_notice: "✅ Winner {user} claimed the prize of giveaway #{id}.",
+  claim_cb_done: "🎁 Claimed!",
+
+  // ---------------- outbox ----------------
+  usage_outbox: "Usage: /outbox or /outbox retry <id|all>",
+  outbox_title: "📮 <b>OUTBOX</b>",
+  outbox_counts: "⏳ Pending: {pending} | ✅ Sent: {sent} | ❌ Failed: {failed}",
+  outbox_empty: "✅ Nothing is stuck.",
+  outbox_row_pending: "⏳ <b>#{id}</b> <code>{key}</code> → <code>{chat}</code> | {attempts} errors, retrying at {time}",
+  outbox_row_failed: "❌ <b>#{id}</b> <code>{key}</code> → <code>{chat}</code> | {attempts} errors, stopped",
+  outbox_hint: "🔁 Resend: <code>/outbox retry &lt;id|all&gt;</code>",
+  outbox_retried: "🔁 Queued {n} message(s) for resending.",
+  outbox_retry_none: "Nothing to resend.",
+
+  // ---------------- REST API keys ----------------
+  usage_apikey: "Usage: /apikey, /apikey add <name> or /apikey revoke <id>",
+  apikey_title: "🔑 <b>API KEYS</b>",
+  apikey_row: "🔑 <b>#{id}</b> {name}\n   created by {by} at {time} | last used: {used}",
+  apikey_never: "never",
+  apikey_created: "✅ Created API key #{id} ({name}):",
+  apikey_once: "⚠️ The key is shown only once, store it now. Send it as <code>Authorization: Bearer &lt;key&gt;</code>.",
+  apikey_revoked: "✅ Revoked API key #{id}.",
+  apikey_not_found: "❌ API key #{id} not found.",
+
+  // ---------------- event webhooks ----------------
+  usage_hook: "Usage: /hook, /hook add <event> <url>, /hook remove <id>, /hook log [id] or /hook test <id>",
+  hook_title: "🪝 <b>WEBHOOKS</b>",
+  hook_row: "🪝 <b>#{id}</b> {event} → {url}\n   ✅ {delivered} | ⏳ {pending} | ❌ {failed}",
+  hook_events: "Events: {events}",
+  hook_bad_event: "❌ Unknown event. Choose one of: {events}",
+  hook_bad_url: "❌ Invalid URL (must be http:// or https://).",
+  hook_exists: "⚠️ This webhook already exists.",
+  hook_added: "✅ Added webhook #{id} ({event}). HMAC signing secret:",
+  hook_secret_once: "⚠️ The secret is shown only once. Check the <code>X-Giveaway-Signature</code> header = <code>sha256=</code>HMAC-SHA256(secret, <code>&lt;X-Giveaway-Timestamp&gt;.&lt;body&gt;</code>).",
+  hook_removed: "✅ Removed webhook #{id}.",
+  hook_not_found: "❌ Webhook #{id} not found.",
+  hook_test_queued: "📤 Sent a ping event to webhook #{id}, see /hook log {id}.",
+  hook_log_title: "📜 <b>WEBHOOK DELIVERY LOG</b>",
+  hook_log_row: "<b>#{id}</b> hook #{hook} {event} | {time} | {attempts} attempt(s) | {result}"
+};
@@ -0,0 +1,516 @@
+// Tiếng Việt (mặc định). Key thiếu ở ngôn ngữ khác sẽ lấy từ DEFAULT_LANG.
+module.exports = {
+  lang_name: "Tiếng Việt",
+  date_format: "HH:mm DD/MM/YYYY",
+
+  // ---------------- common ----------------
+  none: "Không có",
+  empty_list: "(chưa có)",
+  not_found: "Không tìm thấy giveaway.",
+  not_found_x: "❌ Không tìm thấy giveaway.",
+  dm_only: "ℹ️ Dùng {cmd} trong chat riêng với bot.",
+  usage: "Dùng: {usage}",
+  usage_cancel: "Dùng: /cancel <id> [lý do]",
+  usage_bonus: "Dùng: /bonus <id> <user_id> <±vé>",
+  usage_bonusrule: "Dùng: /bonusrule <id> [member <chat_id|@channel> <vé> | boost <vé> | clear]",
+  usage_bonusrule_add: "Dùng: /bonusrule <id> member <chat_id|@channel> <vé> hoặc /bonusrule <id> boost <vé>",
+  usage_require: "Dùng: /require <id> [member <chat_id|@channel> | captcha | question <câu hỏi>|<đáp án> | tenure <giờ> | clear]\n(member channel: bot cần là admin của channel)",
+  usage_reroll: "Dùng: /reroll <id> <user_id> [lý do]",
+  no_group: "⚠️ Chưa set group. Vào group gõ /setgroup",
+  tier_n: "Hạng {n}",
+  btn_join: "🎉 Tham gia",
+  btn_claim: "🎁 Nhận quà",
+
+  // ---------------- language ----------------
+  lang_current: "🌐 Ngôn ngữ hiện tại: <b>{name}</b> (<code>{code}</code>)\n\nĐổi: {list}",
+  lang_set_chat: "✅ Ngôn ngữ của group: <b>{name}</b>",
+  lang_set_user: "✅ Ngôn ngữ của bạn: <b>{name}</b>",
+  lang_bad: "❌ Ngôn ngữ không hỗ trợ. Có: {list}",
+  lang_group_admin_only: "🔒 Chỉ admin group mới đổi được ngôn ngữ của group.",
+
+  // ---------------- public posts ----------------
+  gw_title: "🎉 <b>GIVEAWAY</b> 🎉",
+  gw_prizes: "🎁 <b>Giải thưởng:</b>",
+  gw_content: "📌 <b>Nội dung:</b> {prize}",
+  gw_sponsor: "🤝 <b>Nhà tài trợ:</b> {sponsor}",
+  gw_draw_time: "⏰ <b>Thời gian quay:</b> {time}",
+  gw_countdown: "⏳ <b>Còn lại:</b> {left}",
+  countdown_days: "{d} ngày {h} giờ",
+  countdown_hours: "{h} giờ {m} phút",
+  countdown_minutes: "{m} phút",
+  countdown_soon: "dưới 1 phút",
+  gw_start: "🗓 <b>Bắt đầu:</b> {time}",
+  gw_winners: "🏆 <b>Số người trúng:</b> {n}",
+  gw_count: "👥 <b>Số người tham gia:</b> {n}",
+  gw_cta: "👇 Nhấn nút bên dưới để tham gia!",
+  gw_paused: "⏸ <b>Tạm dừng nhận tham gia.</b>",
+  gw_updated: "✏️ <i>Cập nhật lúc {time}</i>",
+
+  win_title: "🎉 <b>CHÚC MỪNG NGƯỜI CHIẾN THẮNG!</b> 🎉",
+  win_list: "🏆 <b>Danh sách:</b>",
+  win_reward: "🎁 <b>Phần thưởng:</b> {prize}",
+  win_claim_before: "📩 Bấm 🎁 <b>Nhận quà</b> trước <b>{time}</b>, quá hạn giải sẽ chuyển cho người kế tiếp.",
+  win_contact: "📩 Vui lòng liên hệ nhà tài trợ để nhận quà.",
+
+  cancel_title: "⛔ <b>GIVEAWAY ĐÃ BỊ HỦY</b>",
+  cancel_joined: "👥 <b>Đã tham gia:</b> {n}",
+  cancel_reason: "📝 <b>Lý do:</b> {reason}",
+  cancel_notice: "⛔ Giveaway #{id} đã bị <b>hủy</b>.",
+
+  empty_end: "⛔ Giveaway #{id} kết thúc nhưng không có ai tham gia.",
+
+  // ---------------- proof / verify ----------------
+  proof_title: "🔒 <b>PROOF (chỉ DM)</b>",
+  proof_drawn_at: "⏰ <b>Quay lúc:</b> {time}",
+  proof_not_revealed: "Chưa công bố",
+  proof_not_frozen: "Chưa chốt",
+  proof_excluded: "🚫 <b>Không hợp lệ / bị loại ({n}):</b>",
+  proof_flagged: "⚠️ <b>Bị gắn cờ đáng ngờ ({n}):</b>",
+  proof_more: "… và {n} người khác",
+  proof_steps:
+    "✅ <b>Verify:</b>\n" +
+    "1. sha256(seed) = commit\n" +
+    "2. participants_hash = sha256(user_id tăng dần, nối bằng \",\"; người có w&gt;1 vé ghi \"user_id:w\")\n" +
+    "3. key = HMAC_SHA256(seed, participants_hash)\n" +
+    "4. vé t của user: HMAC_SHA256(key, \"&lt;id&gt;:&lt;user_id&gt;\") (t=0), \"&lt;id&gt;:&lt;user_id&gt;:&lt;t&gt;\" (t≥1)\n" +
+    "5. rank = vé nhỏ nhất của user, sort asc, lấy top N.\n" +
+    "Tự kiểm tra offline: <code>node verify.js --export {id} &gt; bundle.json</code> rồi <code>node verify.js bundle.json</code>",
+
+  verify_title: "🔎 <b>VERIFY GIVEAWAY #{id}</b>",
+  verify_canceled: "⛔ Giveaway đã bị hủy, không có kết quả.",
+  verify_seed_pending: "🔓 <b>Seed:</b> Chưa công bố\n\n⏰ Seed sẽ được công bố sau khi quay ({time}).",
+  verify_stats: "👥 <b>Tham gia:</b> {joined} | 🎟 <b>Tổng vé:</b> {tickets} | 🏆 <b>Trúng:</b> {won}",
+  verify_rerolls: "🔁 <b>Reroll:</b> {n} (người kế tiếp trong ranking)",
+  verify_cutoff: "✂️ <b>Ngưỡng trúng (rank #{n}):</b> <code>{rank}</code>",
+  verify_not_joined: "ℹ️ Bạn không tham gia giveaway này.",
+  verify_lost: "Không trúng",
+  verify_won_expired: "⌛ Trúng nhưng quá hạn nhận quà",
+  verify_won_replaced: "🚫 Trúng nhưng bị loại",
+  verify_won: "🏆 Trúng",
+  verify_your_tickets: "🎟 <b>Vé của bạn:</b> {n}",
+  verify_your_rank: "🙋 <b>Rank của bạn:</b> <code>{rank}</code>",
+  verify_position: "📍 <b>Vị trí:</b> {pos}/{total} → {result}",
+  verify_howto:
+    "✅ <b>Tự tính:</b> key = HMAC_SHA256(seed, participants_hash), " +
+    "rank = min HMAC_SHA256(key, \"{id}:&lt;user_id&gt;[:&lt;t&gt;]\") trên các vé, sort asc, " +
+    "rank ≤ ngưỡng là trúng.",
+
+  // ---------------- /giveaway usage ----------------
+  usage_giveaway:
+    "❌ Sai cú pháp\n" +
+    "Dùng:\n" +
+    "/giveaway <số_trúng>|<HH:mm DD/MM/YYYY>|<phần thưởng>|<nhà tài trợ>\n\n" +
+    "Ví dụ:\n" +
+    "/giveaway 3|22:00 20/01/2026|ADMIN CHATGPT BUSINESS 1 THÁNG|@zaaraowo\n\n" +
+    "Nhiều hạng giải (tổng = số_trúng):\n" +
+    "/giveaway 4|22:00 20/01/2026|1x Giải nhất; 3x Giải nhì|@zaaraowo\n\n" +
+    "Hẹn giờ đăng (<bắt đầu> - <quay>):\n" +
+    "/giveaway 3|20:00 19/01/2026 - 22:00 20/01/2026|ADMIN CHATGPT BUSINESS 1 THÁNG|@zaaraowo\n\n" +
+    "Đăng vào nhiều group (id trong /groups, hoặc all):\n" +
+    "/giveaway 3|22:00 20/01/2026|ADMIN CHATGPT BUSINESS 1 THÁNG|@zaaraowo|groups=1,3\n\n" +
+    "Hoặc dùng form:\n" +
+    "/newgiveaway",
+
+  // ---------------- form ----------------
+  form_expired: "Form đã hết hạn. Dùng /newgiveaway hoặc /drafts để làm tiếp.",
+  form_step1: "🧾 <b>Tạo Giveaway (Form)</b>\n\nBước 1/5: Chọn <b>số người trúng</b>",
+  form_step2:
+    "Bước 2/5: Nhập <b>thời gian quay</b> theo format:\n<code>HH:mm DD/MM/YYYY</code>\nVí dụ: <code>22:00 20/01/2026</code>\n\n" +
+    "Hẹn giờ đăng (không bắt buộc): <code>20:00 19/01/2026 - 22:00 20/01/2026</code>\n\nGõ /abort để hủy.",
+  form_step3: "Bước 3/5: Nhập <b>phần thưởng</b>\n\nNhiều hạng giải: <code>1x Giải nhất; 2x Giải nhì</code> (tổng = {n} người trúng)",
+  form_step4: "Bước 4/5: Nhập <b>nhà tài trợ</b> (ví dụ: @zaaraowo)",
+  form_btn_custom: "Nhập khác",
+  form_btn_abort: "❌ Hủy form",
+  form_btn_create: "✅ Tạo giveaway",
+  form_btn_save: "💾 Lưu nháp",
+  form_btn_edit_winners: "✏️ Số trúng",
+  form_btn_edit_time: "✏️ Thời gian",
+  form_btn_edit_prize: "✏️ Phần thưởng",
+  form_btn_edit_sponsor: "✏️ Nhà tài trợ",
+  form_btn_cancel: "❌ Hủy",
+  form_btn_groups: "🎯 Chọn group",
+  form_btn_done: "✅ Xong",
+  form_groups_prompt: "🎯 Chọn <b>group</b> đăng giveaway (chọn nhiều = giveaway chung, mỗi người chỉ tính 1 lần):",
+  form_groups_min: "Phải chọn ít nhất 1 group.",
+  preview_groups: "🎯 <b>Group:</b> {groups}",
+  preview_title: "🧾 <b>PREVIEW GIVEAWAY</b>",
+  preview_past: " ⚠️ <b>đã qua</b>",
+  preview_reward: "🎁 <b>Phần thưởng:</b> {prize}",
+  preview_hint: "Chọn ✅ để tạo và đăng vào group, 💾 để lưu nháp, ✏️ để sửa.",
+  form_aborted: "✅ Đã hủy form.",
+  form_custom_prompt: "Nhập <b>số người trúng</b> (ví dụ: 7).\n\nGõ /abort để hủy.",
+  form_cb_ok: "OK",
+  form_cb_enter_number: "Nhập số",
+  form_cb_edit: "Sửa",
+  form_cb_saved: "Đã lưu",
+  form_cb_enter_name: "Nhập tên",
+  form_cb_aborted: "Đã hủy",
+  form_cb_created: "Đã tạo",
+  form_no_group: "Chưa set group (/setgroup).",
+  form_missing: "Thiếu dữ liệu form.",
+  form_time_past: "⏰ Thời gian quay đã qua, bấm ✏️ Thời gian để sửa.",
+  form_creating: "⏳ Đang tạo giveaway...",
+  form_draft_name_prompt: "💾 Nhập <b>tên nháp</b> (ví dụ: Sponsor ABC tuần sau)",
+  form_draft_name_short: "❌ Tên nháp quá ngắn.",
+  form_bad_number: "❌ Số không hợp lệ. Nhập số từ 1 đến 1000.",
+  form_winners_set: "✅ Số người trúng: <b>{n}</b>\n\n",
+  form_bad_time: "❌ Sai format. Ví dụ: 22:00 20/01/2026",
+  form_time_future: "❌ Thời gian phải ở tương lai.",
+  form_bad_range: "❌ Thời gian bắt đầu phải trước thời gian quay.",
+  form_prize_short: "❌ Phần thưởng quá ngắn.",
+  form_bad_tiers: "❌ Tổng số người trúng các hạng phải bằng {n}.",
+  form_sponsor_short: "❌ Nhà tài trợ quá ngắn.",
+  giveaway_dm_only: "ℹ️ Tạo giveaway bằng DM hoặc dùng /newgiveaway.",
+
+  // ---------------- drafts ----------------
+  drafts_empty: "📝 Chưa có nháp nào. Tạo bằng /newgiveaway rồi bấm 💾 Lưu nháp.",
+  drafts_title: "📝 <b>NHÁP GIVEAWAY</b>",
+  drafts_no_prize: "(chưa có phần thưởng)",
+  draft_saved: "💾 Đã lưu nháp #{id}. Xem lại bằng /drafts.",
+  draft_saved_named: "💾 Đã lưu nháp #{id} \"{name}\". Xem lại bằng /drafts.",
+  draft_not_found: "Nháp không tồn tại.",
+  draft_opened: "Mở nháp #{id}",
+  draft_header: "📝 Nháp #{id} <b>{name}</b>\n\n",
+  draft_deleted: "Đã xóa nháp",
+
+  // ---------------- start / group ----------------
+  welcome: "Welcome",
+  ref_closed: "⏳ Giveaway không tồn tại hoặc đã đóng.",
+  ref_already_joined: "❗ Bạn đã tham gia giveaway này rồi, link mời không được tính.",
+  ref_self: "⚠️ Không thể tự mời chính mình.\n\n",
+  setgroup_hint: "Vào group muốn bot đăng giveaway và gõ: /setgroup",
+  setgroup_done: "✅ Đã link group {name} và đặt làm mặc định: <code>{id}</code>",
+  group_current: "📌 Group mặc định: {name} (<code>{id}</code>)",
+  groups_title: "🌐 <b>GROUP ĐÃ LINK</b> (⭐ = mặc định)",
+  groups_hint: "Chạy /setgroup trong group để link thêm. Đăng nhiều group: <code>/giveaway ...|groups=1,3</code> hoặc nút 🎯 trong form.",
+  group_not_found: "❌ Không tìm thấy group. Xem /groups",
+  group_unlinked: "✅ Đã gỡ group #{id} (<code>{chat}</code>).",
+  groups_bad: "❌ Group không hợp lệ. Dùng id trong /groups, ví dụ groups=1,3 hoặc groups=all",
+  group_unset: "⚠️ Chưa set group. Vào group và gõ /setgroup",
+
+  // ---------------- help ----------------
+  help_title: "📌 <b>BOT GIVEAWAY - HELP</b>",
+  help_user:
+    "👤 <b>User:</b>\n" +
+    "• <code>/start</code> - Bắt đầu\n" +
+    "• Tham gia giveaway: bấm nút 🎉 Tham gia trong group\n" +
+    "• <code>/verify &lt;id&gt;</code> - Tự kiểm tra kết quả + rank của bạn (DM bot)\n" +
+    "• <code>/ref &lt;id&gt;</code> - Link mời cá nhân, mỗi người mời được +1 vé (DM bot)\n" +
+    "• <code>/lang [vi|en]</code> - Đổi ngôn ngữ (DM: của bạn, group: của group)\n",
+  help_admin_dm:
+    "🛠️ <b>Admin (DM bot):</b>\n" +
+    "• <code>/newgiveaway</code> - Tạo giveaway bằng form\n" +
+    "• <code>/drafts</code> - Nháp giveaway đã lưu (mở lại / xóa)\n" +
+    "• <code>/giveaway &lt;winners&gt;|&lt;HH:mm DD/MM/YYYY&gt;|&lt;prize&gt;|&lt;sponsor&gt;</code> - Tạo nhanh\n" +
+    "• <code>/proof &lt;id&gt;</code> - Xem Commit/Seed/Verify (chỉ DM)\n" +
+    "• <code>/export &lt;id&gt; [csv|json]</code> - File người tham gia + winners + proof; <code>/export &lt;từ DD/MM/YYYY&gt; &lt;đến DD/MM/YYYY&gt; [csv|json]</code> - Báo cáo nhiều giveaway\n" +
+    "• <code>/announce &lt;id&gt;</code> - (Dự phòng) gửi kết quả vào nhóm\n" +
+    "• <code>/bonus &lt;id&gt; &lt;user_id&gt; &lt;±vé&gt;</code> - Cộng/trừ vé bonus\n" +
+    "• <code>/bonusrule &lt;id&gt; [member &lt;chat&gt; &lt;vé&gt; | boost &lt;vé&gt; | clear]</code> - Luật vé bonus khi tham gia\n" +
+    "• <code>/require &lt;id&gt; [member &lt;chat&gt; | captcha | question &lt;hỏi&gt;|&lt;đáp&gt; | tenure &lt;giờ&gt; | clear]</code> - Điều kiện tham gia\n" +
+    "• <code>/refcap &lt;id&gt; &lt;n&gt;</code> - Số vé tối đa mỗi người nhận từ referral\n" +
+    "• <code>/referrals &lt;id&gt;</code> - Bảng xếp hạng referral\n" +
+    "• <code>/reroll &lt;id&gt; &lt;user_id&gt; [lý do]</code> - Loại winner, chuyển giải cho người kế tiếp\n" +
+    "• <code>/series add|list|pause|resume|delete</code> - Giveaway định kỳ (vd. mỗi thứ 6 20:00)\n",
+  help_admin_any:
+    "🛠️ <b>Admin (Group hoặc DM):</b>\n" +
+    "• <code>/setgroup</code> - Link group + đặt làm mặc định\n" +
+    "• <code>/groups</code> - Group đã link / <code>/unlinkgroup &lt;id&gt;</code> - Gỡ group\n" +
+    "• <code>/group</code> - Xem group mặc định\n" +
+    "• <code>/history [id group]</code> - 10 giveaway gần nhất (lọc theo group)\n" +
+    "• <code>/ginfo &lt;id&gt;</code> - Info + winners (Proof chỉ hiện trong DM)\n" +
+    "• <code>/cancel &lt;id&gt; [lý do]</code> - Hủy giveaway\n" +
+    "• <code>/edit &lt;id&gt; prize|sponsor|winners &lt;giá trị&gt;</code> - Sửa giveaway đang chạy\n" +
+    "• <code>/extend &lt;id&gt; &lt;HH:mm DD/MM/YYYY&gt;</code> - Đổi thời gian quay\n" +
+    "• <code>/pause &lt;id&gt;</code> / <code>/resume &lt;id&gt;</code> - Tạm dừng / mở lại nhận tham gia\n" +
+    "• <code>/audit [id] [trang]</code> - Nhật ký thao tác admin (<code>/audit verify</code> kiểm tra chuỗi hash)\n" +
+    "• <code>/stats</code> - Thống kê (DM) / <code>/stats sponsor &lt;tên&gt;</code> - Báo cáo gửi nhà tài trợ\n" +
+    "• <code>/ban &lt;user_id&gt; [#group] [lý do]</code> / <code>/unban</code> / <code>/banlist [id group]</code> - Blacklist\n" +
+    "• <code>/cooldown [days|giveaways &lt;n&gt; | off]</code> - Loại người vừa thắng gần đây\n" +
+    "• <code>/antifraud</code> - Cờ đáng ngờ (không username / ảnh, tham gia dồn dập)\n" +
+    "• <code>/outbox</code> - Tin gửi bị kẹt / <code>/outbox retry &lt;id|all&gt;</code> - Gửi lại\n" +
+    "• <code>/apikey [add &lt;tên&gt; | revoke &lt;id&gt;]</code> - API key cho REST API (DM)\n" +
+    "• <code>/hook [add &lt;sự kiện&gt; &lt;url&gt; | remove &lt;id&gt; | log [id] | test &lt;id&gt;]</code> - Webhook sự kiện (DM)\n",
+  help_admin_only: "🔒 Một số lệnh chỉ dành cho admin.",
+  help_owner:
+    "👑 <b>Owner:</b>\n" +
+    "• <code>/admins</code> - Danh sách owner / admin / sponsor\n" +
+    "• <code>/addadmin &lt;user_id&gt;</code> - Thêm admin\n" +
+    "• <code>/removeadmin &lt;user_id&gt;</code> - Gỡ role\n" +
+    "• <code>/setrole &lt;user_id&gt; owner|admin|sponsor</code> - Đặt role\n",
+
+  // ---------------- /ref ----------------
+  ref_gw_closed: "⏳ Giveaway đã đóng.",
+  ref_join_first: "❌ Bạn cần tham gia giveaway trước khi mời người khác.",
+  ref_link:
+    "🔗 <b>Link mời giveaway #{id}:</b>\n{link}\n\n" +
+    "🎟 Mỗi người mới vào group và tham gia qua link: +1 vé (tối đa {cap}). Thành viên cũ không tính.\n" +
+    "✅ Đã nhận: {credited}",
+
+  // ---------------- admin ----------------
+  history_title: "📜 <b>LỊCH SỬ GIVEAWAY</b>",
+  status_canceled_short: "⛔ Hủy",
+  status_canceled: "⛔ Đã hủy",
+  status_drawn: "✅ Đã quay",
+  status_running: "⏳ Đang chạy",
+  status_scheduled: "🗓 Chờ đăng",
+  status_paused: "⏸ Tạm dừng",
+  ginfo_title: "ℹ️ <b>Giveaway #{id}</b>",
+  ginfo_joined: "👥 <b>Tham gia:</b> {n}",
+  ginfo_ineligible: "🚫 <b>Không hợp lệ:</b> {n} (rời group / bị loại, chi tiết trong proof DM)",
+  ginfo_series: "🔁 <b>Series:</b> #{id}",
+  ginfo_groups: "🌐 <b>Group:</b> {groups}",
+  ginfo_status: "📌 <b>Trạng thái:</b> {status}",
+  ginfo_announced: "✅ Đã gửi kết quả",
+  ginfo_not_announced: "❌ Chưa gửi kết quả",
+  ginfo_announce: "📣 <b>Announce:</b> {status}",
+  ginfo_cancel_reason: "📝 <b>Lý do hủy:</b> {reason}",
+  ginfo_winners: "🏆 <b>Winners:</b>",
+  ginfo_legend: "(⏳ chờ nhận | ✅ đã nhận | ⌛ quá hạn | 🚫 bị loại)",
+  ginfo_proof_dm: "🔒 Proof (Commit/Seed/Verify) chỉ xem trong DM: dùng <code>/proof {id}</code>",
+
+  cancel_already: "⚠️ Giveaway đã bị hủy trước đó.",
+  cancel_ended: "⚠️ Giveaway đã kết thúc, không thể hủy.",
+  cancel_done: "✅ Đã hủy giveaway #{id}.",
+
+  gw_closed_tickets: "⚠️ Giveaway đã đóng, không thể đổi vé.",
+  gw_finished: "⚠️ Giveaway đã kết thúc.",
+  bonus_not_joined: "❌ User chưa tham gia giveaway này.",
+  bonus_done: "✅ User {user} có {n} vé trong giveaway #{id}.",
+  bonusrule_cleared: "✅ Đã xóa luật vé bonus của giveaway #{id}.",
+  bonusrule_title: "🎟 <b>Luật vé bonus #{id}</b> (mặc định 1 vé, tối đa {max})",
+  bonusrule_boost: "• Boost group: +{n}",
+  bonusrule_member: "• Member của <code>{chat}</code>: +{n}",
+  require_cleared: "✅ Đã xóa điều kiện tham gia của giveaway #{id}.",
+  require_title: "🛡 <b>Điều kiện tham gia #{id}</b>",
+  require_member: "• Là member của <code>{chat}</code>",
+  require_tenure: "• Ở trong group ít nhất {hours} giờ",
+  require_tenure_note: "ℹ️ Thời gian ở trong group tính từ lần đầu bot thấy user vào group hoặc nhắn tin trong group. Thành viên vào trước khi có bot và chưa nhắn tin sẽ bị từ chối cho tới khi nhắn 1 tin và chờ đủ số giờ.",
+  require_captcha: "• Captcha (trong DM bot)",
+  require_question: "• Trả lời câu hỏi (trong DM bot): {question} → <code>{answer}</code>",
+  refcap_done: "✅ Giveaway #{id}: tối đa {cap} vé từ referral / người.",
+  referrals_title: "🔗 <b>REFERRAL #{id}</b> (tối đa {cap} vé / người)",
+  referrals_row: "{i}. {name} ({user}) — ✅ {invited} mời | 🎟 +{credited}",
+
+  reroll_not_drawn: "⚠️ Giveaway chưa quay hoặc đã bị hủy.",
+  reroll_not_winner: "❌ User không phải winner đang hiệu lực của giveaway này.",
+  reroll_done: "✅ Đã loại {user}, thay bằng {name} ({next}) — rank #{pos}.",
+  reroll_done_none: "✅ Đã loại {user}. Không còn người kế tiếp để thay.",
+  reroll_reason_default: "bị loại",
+  reroll_reason_expired: "không nhận quà đúng hạn",
+  reroll_title: "🔁 <b>REROLL GIVEAWAY #{id}</b>",
+  reroll_new: "🎉 Người thắng mới: <b>{name}</b> ({user}) — rank #{pos}",
+  reroll_verify: "🔎 Người kế tiếp trong cùng ranking, kiểm tra bằng <code>/verify {id}</code>.",
+  reroll_none: "⚠️ Không còn người tham gia nào để thay.",
+
+  announce_canceled: "Giveaway đã bị hủy.",
+  announce_not_drawn: "Giveaway chưa đến giờ quay hoặc chưa quay.",
+  announce_no_winners: "Chưa có winners trong DB (có thể bot chưa quay).",
+  announce_done: "✅ Đã đưa kết quả giveaway #{id} vào hàng gửi (xem /outbox nếu group chưa nhận).",
+
+  created: "✅ Đã tạo giveaway #{id}\n⏰ Quay lúc: {time}",
+  scheduled: "🗓 Đã lên lịch giveaway #{id}\n📢 Đăng lúc: {start}\n⏰ Quay lúc: {time}",
+  scheduled_post_fail: "⚠️ Giveaway #{id}: chưa đăng được vào {groups}. Bot sẽ thử lại mỗi lượt; nếu tới {time} vẫn chưa đăng đủ, giveaway sẽ bị hủy (không quay).",
+  scheduled_post_abandoned: "⛔ Giveaway #{id} đã bị hủy: tới giờ quay vẫn chưa đăng được vào {groups} nên chưa từng mở tham gia.",
+  scheduled_post_reason: "không đăng được vào group",
+  create_fail: "❌ Bot không gửi được vào group. Hãy đảm bảo bot có quyền và đã /setgroup.",
+  create_fail_groups: "⚠️ Không đăng được vào: {groups}",
+
+  // ---------------- roles ----------------
+  no_permission: "⛔ Bạn không có quyền với lệnh / giveaway này.",
+  role_owner: "Owner",
+  role_admin: "Admin",
+  role_sponsor: "Sponsor",
+  admins_title: "👥 <b>OWNER / ADMIN / SPONSOR</b>",
+  admins_added_by: "thêm bởi {user} lúc {time}",
+  admins_group_on: "👮 Admin Telegram của group được quản lý giveaway trong group của mình (GROUP_ADMINS=1).",
+  admins_group_off: "👮 Admin Telegram của group không có quyền giveaway (bật bằng GROUP_ADMINS=1).",
+  usage_addadmin: "Dùng: /addadmin <user_id>",
+  usage_removeadmin: "Dùng: /removeadmin <user_id>",
+  usage_setrole: "Dùng: /setrole <user_id> owner|admin|sponsor",
+  role_set: "✅ <code>{user}</code> giờ là {role}.",
+  role_removed: "✅ Đã gỡ role của <code>{user}</code>.",
+  role_not_found: "⚠️ {user} chưa có role.",
+  role_env_owner: "⚠️ {user} là owner trong ADMIN_IDS, chỉ đổi được bằng cấu hình.",
+  role_last_owner: "⚠️ Không thể gỡ owner cuối cùng.",
+
+  // ---------------- audit ----------------
+  usage_audit: "Dùng: /audit [id giveaway] [trang] hoặc /audit verify",
+  audit_title: "🧾 <b>NHẬT KÝ ADMIN</b> (trang {page}/{pages})",
+  audit_empty: "(chưa có)",
+  audit_ok: "✅ Chuỗi hash nhật ký nguyên vẹn ({n} dòng).",
+  audit_broken: "🚨 Nhật ký đã bị sửa: chuỗi hash gãy tại dòng #{id}.",
+  btn_prev: "◀️ Trước",
+  btn_next: "Sau ▶️",
+
+  // ---------------- stats ----------------
+  usage_stats: "Dùng: /stats hoặc /stats sponsor <tên>",
+  stats_title: "📊 <b>THỐNG KÊ</b>",
+  stats_giveaways: "🎁 <b>Giveaway:</b> {total} (✅ đã quay {drawn} | ⏳ đang chạy {running} | ⛔ hủy {canceled})",
+  stats_entries: "👥 <b>Lượt tham gia:</b> {entries} | <b>người khác nhau:</b> {users}",
+  stats_avg: "📈 <b>TB người / giveaway:</b> {avg}",
+  stats_winners: "🏆 <b>Winners:</b> {won} | ✅ đã nhận quà: {claimed}",
+  stats_growth: "📅 <b>Theo tháng (đã quay):</b>",
+  stats_month: "• {month}: {n} giveaway, {entries} lượt",
+  stats_top: "🔥 <b>Tham gia nhiều nhất:</b>",
+  stats_top_row: "{entries} lượt, {wins} lần thắng",
+  stats_repeat: "🔁 <b>Thắng từ 2 lần:</b> {n} người",
+  stats_repeat_row: "{wins} lần",
+  stats_sponsors: "🤝 <b>Theo nhà tài trợ:</b>",
+  stats_sponsor_row: "{n} giveaway, tiếp cận {reach} người, {winners} winners",
+  stats_sponsor_hint: "📣 Báo cáo cho nhà tài trợ: <code>/stats sponsor &lt;tên&gt;</code>",
+  report_title: "📣 <b>BÁO CÁO NHÀ TÀI TRỢ: {sponsor}</b>",
+  report_period: "🗓 {from} → {to}",
+  report_giveaways: "🎁 <b>Giveaway:</b> {n} (✅ đã quay {drawn})",
+  report_not_found: "Không có giveaway nào của nhà tài trợ {sponsor}.",
+
+  // ---------------- export ----------------
+  usage_export: "Dùng: /export <id> [csv|json] hoặc /export <từ DD/MM/YYYY> <đến DD/MM/YYYY> [csv|json]",
+  export_empty: "Không có giveaway nào có giờ quay trong khoảng thời gian này.",
+  export_caption: "📦 Giveaway #{id}",
+  export_caption_verify: "📦 Giveaway #{id} — tự kiểm tra: node verify.js giveaway-{id}.json",
+  export_bulk_caption: "📦 {n} giveaway ({from} → {to})",
+
+  // ---------------- blacklist / cooldown / anti-fraud ----------------
+  usage_ban: "Dùng: /ban <user_id> [#id group] [lý do] (không có #id group = mọi giveaway)",
+  usage_unban: "Dùng: /unban <user_id> [#id group]",
+  ban_scope_all: "mọi giveaway",
+  ban_done: "🚫 Đã cấm <code>{user}</code> ({scope}).",
+  unban_done: "✅ Đã bỏ cấm <code>{user}</code> ({scope}).",
+  unban_not_found: "⚠️ <code>{user}</code> không có trong blacklist ({scope}).",
+  banlist_title: "🚫 <b>BLACKLIST</b>",
+  usage_cooldown: "Dùng: /cooldown [days <n> | giveaways <n> | off]",
+  cooldown_days: "thắng trong {n} ngày gần nhất",
+  cooldown_giveaways: "thắng trong {n} giveaway gần nhất",
+  cooldown_off: "tắt",
+  cooldown_current: "⏳ Cooldown người thắng: {rule}",
+  usage_antifraud: "Dùng: /antifraud [username on|off | photo on|off | burst <n> <giây> | burst off | mode flag|exclude]",
+  af_current:
+    "🕵️ <b>Anti-fraud</b>\n" +
+    "• Không có username: {username}\n" +
+    "• Không có ảnh đại diện: {photo}\n" +
+    "• Tham gia dồn dập: {burst}\n" +
+    "• Xử lý: {mode}",
+  af_on: "bật",
+  af_off: "tắt",
+  af_burst: "≥ {n} lượt trong {sec} giây",
+  af_mode_flag: "chỉ gắn cờ (hiện trong proof)",
+  af_mode_exclude: "loại khỏi giveaway",
+  flag_no_username: "không có username",
+  flag_no_photo: "không có ảnh đại diện",
+  flag_burst: "tham gia dồn dập",
+  excluded_banned: "blacklist",
+  excluded_cooldown: "đang cooldown",
+  excluded_suspicious: "đáng ngờ",
+  excluded_left: "đã rời group",
+
+  // ---------------- edit / extend / pause ----------------
+  usage_edit: "Dùng: /edit <id> prize|sponsor|winners <giá trị>",
+  usage_extend: "Dùng: /extend <id> <HH:mm DD/MM/YYYY>",
+  edit_locked: "⚠️ Giveaway đã quay, đã hủy hoặc đã tới giờ quay, không thể sửa.",
+  edit_done: "✅ Đã cập nhật giveaway #{id}: {field} → {value}",
+  edit_bad_tiers: "❌ Hạng giải không hợp lệ. Ví dụ: 1x Giải nhất; 2x Giải nhì",
+  edit_winners_tiers: "❌ Giveaway #{id} có nhiều hạng giải, đổi số người trúng bằng cách sửa phần thưởng: /edit {id} prize 1x Giải nhất; 2x Giải nhì",
+  extend_done: "✅ Giveaway #{id} sẽ quay lúc {time}.",
+  pause_done: "⏸ Đã tạm dừng giveaway #{id}.",
+  pause_already: "⚠️ Giveaway #{id} đang tạm dừng rồi.",
+  resume_done: "▶️ Đã mở lại giveaway #{id}.",
+  resume_not_paused: "⚠️ Giveaway #{id} không bị tạm dừng.",
+  resume_overdue: "⚠️ Đã quá giờ quay, giveaway sẽ được quay ngay.",
+
+  // ---------------- series ----------------
+  weekdays: "cn,t2,t3,t4,t5,t6,t7",
+  daily: "hằng ngày",
+  usage_series:
+    "Dùng:\n" +
+    "/series add <ngày> <HH:mm>|<số giờ mở>|<số_trúng>|<phần thưởng>|<nhà tài trợ>\n" +
+    "/series list | pause <id> | resume <id> | delete <id>\n\n" +
+    "Ngày: daily hoặc cn,t2..t7 (mon..sun), nhiều ngày cách nhau dấu phẩy\n" +
+    "Ví dụ (mỗi thứ 6 20:00, mở 48 giờ):\n" +
+    "/series add t6 20:00|48|3|ADMIN CHATGPT BUSINESS 1 THÁNG|@zaaraowo",
+  series_title: "🔁 <b>GIVEAWAY ĐỊNH KỲ</b>",
+  series_row: "#{id} {state} {days} {time} · {hours}h · 🏆 {winners} | {prize}\n   ⏭ {next} | 📜 {runs} lượt",
+  series_created: "✅ Đã tạo series #{id}.",
+  series_not_found: "❌ Không tìm thấy series.",
+  series_paused: "⏸ Đã tạm dừng series #{id}.",
+  series_resumed: "▶️ Đã chạy lại series #{id}, lượt kế tiếp: {time}.",
+  series_deleted: "🗑 Đã xóa series #{id} (các giveaway đã tạo vẫn giữ nguyên).",
+
+  // ---------------- join ----------------
+  join_not_found: "❌ Giveaway không tồn tại",
+  join_canceled: "⛔ Giveaway đã bị hủy",
+  join_closed: "⏳ Giveaway đã đóng / đã quay",
+  join_not_member: "❌ Bạn phải là member của group mới được tham gia",
+  join_already: "❗ Bạn đã tham gia rồi",
+  join_not_started: "🗓 Giveaway chưa bắt đầu",
+  join_paused: "⏸ Giveaway đang tạm dừng",
+  join_banned: "🚫 Bạn không được tham gia giveaway này (lý do: {reason})",
+  join_cooldown: "⏳ Bạn vừa thắng gần đây nên chưa được tham gia ({rule})",
+  join_suspicious: "🕵️ Tài khoản bị đánh giá đáng ngờ: {flags}",
+  join_ok: "🎉 Tham gia thành công!",
+  join_ok_tickets: "🎉 Tham gia thành công! 🎟 {n} vé",
+  join_ref_hint: "🔗 DM bot /ref {id} để lấy link mời bạn bè (+vé).",
+
+  req_member: "❌ Bạn cần tham gia {chat} trước khi tham gia giveaway",
+  req_tenure: "❌ Cần ở trong group ít nhất {hours} giờ (bạn mới ở {have} giờ)",
+  req_tenure_unknown: "❌ Cần ở trong group ít nhất {hours} giờ. Bot chưa ghi nhận bạn trong group: hãy nhắn 1 tin trong group, đủ {hours} giờ sau đó là tham gia được.",
+  req_verify: "🤖 Cần xác minh trong DM bot trước khi tham gia",
+  req_captcha: "🤖 Giveaway #{id} — xác minh: nhắn kết quả của <b>{a} + {b}</b>",
+  req_question: "❓ Giveaway #{id} — trả lời câu hỏi (gửi 1 tin nhắn):\n<b>{question}</b>",
+  req_ok: "✅ Chính xác!",
+  req_wrong: "❌ Sai rồi, còn {left} lần thử.",
+  req_locked: "⛔ Sai quá nhiều lần. Thử lại sau {time}.",
+  req_passed: "✅ Bạn đã đủ điều kiện tham gia giveaway #{id}. Bấm nút bên dưới để tham gia.",
+
+  // ---------------- claim ----------------
+  claim_dm: "🎉 Bạn đã trúng giveaway #{id}!",
+  claim_deadline: "⏰ <b>Hạn nhận:</b> {time}",
+  claim_press: "Bấm nút bên dưới để xác nhận nhận quà.",
+  claim_not_winner: "❌ Bạn không nằm trong danh sách trúng giveaway này.",
+  claim_already: "✅ Bạn đã xác nhận nhận quà rồi.",
+  claim_gone: "⌛ Giải của bạn đã hết hạn hoặc đã bị chuyển cho người khác.",
+  claim_prompt_deadline: "⏰ Hạn nhận: {time}",
+  claim_cb_not_winner: "❌ Bạn không nằm trong danh sách trúng",
+  claim_cb_already: "✅ Bạn đã nhận rồi",
+  claim_cb_expired: "⌛ Đã quá hạn nhận quà",
+  claim_done: "✅ Đã xác nhận nhận quà giveaway #{id}.\n🤝 <b>Nhà tài trợ:</b> {sponsor} sẽ liên hệ bạn.",
+  claim_admin_notice: "✅ Winner {user} đã nhận quà giveaway #{id}.",
+  claim_cb_done: "🎁 Đã xác nhận!",
+
+  // ---------------- outbox ----------------
+  usage_outbox: "Dùng: /outbox hoặc /outbox retry <id|all>",
+  outbox_title: "📮 <b>OUTBOX</b>",
+  outbox_counts: "⏳ Chờ gửi: {pending} | ✅ Đã gửi: {sent} | ❌ Thất bại: {failed}",
+  outbox_empty: "✅ Không có tin nào bị kẹt.",
+  outbox_row_pending: "⏳ <b>#{id}</b> <code>{key}</code> → <code>{chat}</code> | {attempts} lần lỗi, thử lại lúc {time}",
+  outbox_row_failed: "❌ <b>#{id}</b> <code>{key}</code> → <code>{chat}</code> | {attempts} lần lỗi, đã dừng",
+  outbox_hint: "🔁 Gửi lại: <code>/outbox retry &lt;id|all&gt;</code>",
+  outbox_retried: "🔁 Đã đưa {n} tin vào hàng gửi lại.",
+  outbox_retry_none: "Không có tin nào cần gửi lại.",
+
+  // ---------------- REST API keys ----------------
+  usage_apikey: "Dùng: /apikey, /apikey add <tên> hoặc /apikey revoke <id>",
+  apikey_title: "🔑 <b>API KEY</b>",
+  apikey_row: "🔑 <b>#{id}</b> {name}\n   tạo bởi {by} lúc {time} | dùng lần cuối: {used}",
+  apikey_never: "chưa dùng",
+  apikey_created: "✅ Đã tạo API key #{id} ({name}):",
+  apikey_once: "⚠️ Key chỉ hiện 1 lần, hãy lưu lại. Gửi kèm header <code>Authorization: Bearer &lt;key&gt;</code>.",
+  apikey_revoked: "✅ Đã thu hồi API key #{id}.",
+  apikey_not_found: "❌ Không tìm thấy API key #{id}.",
+
+  // ---------------- event webhooks ----------------
+  usage_hook: "Dùng: /hook, /hook add <sự kiện> <url>, /hook remove <id>, /hook log [id] hoặc /hook test <id>",
+  hook_title: "🪝 <b>WEBHOOK</b>",
+  hook_row: "🪝 <b>#{id}</b> {event} → {url}\n   ✅ {delivered} | ⏳ {pending} | ❌ {failed}",
+  hook_events: "Sự kiện: {events}",
+  hook_bad_event: "❌ Sự kiện không hợp lệ. Chọn: {events}",
+  hook_bad_url: "❌ URL không hợp lệ (cần http:// hoặc https://).",
+  hook_exists: "⚠️ Webhook này đã có.",
+  hook_added: "✅ Đã thêm webhook #{id} ({event}). Secret ký HMAC:",
+  hook_secret_once: "⚠️ Secret chỉ hiện 1 lần. Kiểm tra header <code>X-Giveaway-Signature</code> = <code>sha256=</code>HMAC-SHA256(secret, <code>&lt;X-Giveaway-Timestamp&gt;.&lt;body&gt;</code>).",
+  hook_removed: "✅ Đã xóa webhook #{id}.",
+  hook_not_found: "❌ Không tìm thấy webhook #{id}.",
+  hook_test_queued: "📤 Đã gửi sự kiện ping tới webhook #{id}, xem /hook log {id}.",
+  hook_log_title: "📜 <b>NHẬT KÝ GỬI WEBHOOK</b>",
+  hook_log_row: "<b>#{id}</b> hook #{hook} {event} | {time} | {attempts} lần gửi | {result}"
+};
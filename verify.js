@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+// Offline verifier cho provably-fair draw.
+//
+//   node verify.js <bundle.json>      -> kiểm tra bundle đã export
+//   node verify.js --export <id>      -> in bundle của giveaway <id> từ giveaway.db (JSON)
+//
+// Bundle: { id, seed, seed_hash, participants_hash, winners, tiers, participants: [{user_id,name,weight}], results: [{user_id,name,tier,status}] }
+//   winners = số người trúng, results = các dòng trong bảng winners (theo thứ tự công bố)
+//   results sau top N = reroll (quá hạn / bị loại) -> phải là người kế tiếp trong ranking
+//   tiers = [{position,label,winners}] (không bắt buộc; không có = 1 hạng)
+//   weight = số vé (không bắt buộc; mặc định 1)
+//   participants_hash = null với giveaway cũ (quay trước khi có participants_hash -> key = seed)
+// Bundle từ bot (/export) có thêm prize, sponsor, status, thời gian, chats, excluded (người bị loại, không tính vào hash);
+// verifier bỏ qua các field này.
+const fs = require("fs");
+const { sha256Hex, ticketsOf, hashParticipants, deriveDrawKey, rankParticipants, assignTiers } = require("./fair");
+
+/** Recompute draw from a bundle, same logic as pickWinnersDeterministic */
+function verifyBundle(bundle) {
+  const gid = Number(bundle.id);
+  const k = Number(bundle.winners);
+  const participants = (bundle.participants || []).map(p => ({ ...p, user_id: Number(p.user_id) }));
+  const results = (bundle.results || []).map(w => ({ ...w, user_id: Number(w.user_id) }));
+
+  const commitOk = !!bundle.seed && sha256Hex(bundle.seed) === bundle.seed_hash;
+  const participantsHash = bundle.participants_hash ? hashParticipants(participants) : null;
+  const participantsOk = !bundle.participants_hash || participantsHash === bundle.participants_hash;
+  const key = bundle.seed ? deriveDrawKey(bundle.seed, bundle.participants_hash) : null;
+  const ranking = key ? rankParticipants(key, gid, participants) : [];
+  const tiers = bundle.tiers && bundle.tiers.length ? bundle.tiers : [{ position: 1, label: "", winners: k }];
+  const expected = assignTiers(ranking.slice(0, Math.min(k, ranking.length)), tiers);
+
+  const rerolls = results.slice(expected.length);
+  const winnersOk =
+    expected.length <= results.length &&
+    expected.every((w, i) => w.user_id === results[i].user_id && w.tier === (results[i].tier || 1)) &&
+    rerolls.every((w, i) => ranking[expected.length + i]?.user_id === w.user_id);
+
+  return {
+    commitOk,
+    participantsOk,
+    winnersOk,
+    ok: commitOk && participantsOk && winnersOk,
+    participantsHash,
+    ranking,
+    expected,
+    rerolls,
+    results
+  };
+}
+
+/** Đã quay (không hủy) -> seed được công bố; dùng chung cho proof DM, /export, REST API */
+function isDrawn(g) {
+  return !!g.ended && !g.canceled;
+}
+
+function giveawayStatus(g) {
+  return g.canceled ? "canceled" : isDrawn(g) ? "drawn" : g.paused ? "paused" : !g.message_id ? "scheduled" : "running";
+}
+
+/** requireDrawn = false: giveaway chưa quay / đã hủy vẫn export được, seed = null (chưa công bố) */
+function exportBundle(gid, { requireDrawn = true } = {}) {
+  const { db } = require("./db");
+
+  const g = db.prepare(`SELECT * FROM giveaways WHERE id=?`).get(gid);
+  if (!g) throw new Error("NOT_FOUND");
+  const drawn = isDrawn(g);
+  if (requireDrawn && !drawn) throw new Error("NOT_DRAWN");
+
+  return {
+    id: g.id,
+    seed: drawn ? g.seed : null,
+    seed_hash: g.seed_hash,
+    participants_hash: g.participants_hash,
+    winners: g.winners,
+    tiers: db.prepare(`SELECT position, label, winners FROM prize_tiers WHERE giveaway_id=? ORDER BY position ASC`).all(gid),
+    participants: db.prepare(`
+      SELECT user_id, name, weight, joined_at FROM participants
+      WHERE giveaway_id=? AND joined_at < ?
+      ORDER BY user_id ASC
+    `).all(gid, g.end_time),
+    results: db.prepare(`
+      SELECT user_id, name, tier, status, rank_pos, claim_deadline, claimed_at FROM winners WHERE giveaway_id=? ORDER BY rowid ASC
+    `).all(gid),
+
+    prize: g.prize,
+    sponsor: g.sponsor,
+    status: giveawayStatus(g),
+    created_at: g.created_at,
+    start_time: g.start_time ?? null,
+    end_time: g.end_time,
+    ended_at: g.ended_at ?? null,
+    chats: db.prepare(`SELECT chat_id FROM giveaway_chats WHERE giveaway_id=? ORDER BY rowid ASC`).all(gid).map(c => c.chat_id),
+    excluded: db.prepare(`
+      SELECT user_id, name, weight, joined_at, reason FROM excluded_entries WHERE giveaway_id=? ORDER BY rowid ASC
+    `).all(gid)
+  };
+}
+
+function printReport(bundle, r) {
+  console.log(`Giveaway #${bundle.id}`);
+  console.log(`Commit: ${bundle.seed_hash}`);
+  console.log(`Seed:   ${bundle.seed}`);
+  console.log(`sha256(seed) == commit: ${r.commitOk ? "OK" : "SAI"}`);
+  if (bundle.participants_hash) {
+    console.log(`Participants hash: ${bundle.participants_hash}`);
+    console.log(`sha256(danh sách user_id) == participants_hash: ${r.participantsOk ? "OK" : "SAI"}`);
+  } else {
+    console.log(`Participants hash: (không có - giveaway cũ, key = seed)`);
+  }
+  console.log(`\nRanking (${r.ranking.length} người, top ${bundle.winners} trúng):`);
+  r.ranking.forEach((p, i) => {
+    const mark = i < r.expected.length ? "🏆" : "  ";
+    console.log(`${mark} ${String(i + 1).padStart(4)}. ${p.rank} ${p.user_id} x${ticketsOf(p)} ${p.name ?? ""}`);
+  });
+  const fmtW = ws => ws.map(w => `${w.user_id}[hạng ${w.tier || 1}]`).join(", ") || "(không có)";
+  console.log(`\nWinners đã lưu: ${fmtW(r.results)}`);
+  console.log(`Winners tính lại: ${fmtW(r.expected)}`);
+  if (r.rerolls.length) console.log(`Reroll (rank #${r.expected.length + 1}+): ${r.rerolls.map(w => w.user_id).join(", ")}`);
+  console.log(`Winners khớp: ${r.winnersOk ? "OK" : "SAI"}`);
+  console.log(`\nKết quả: ${r.ok ? "✅ HỢP LỆ" : "❌ KHÔNG HỢP LỆ"}`);
+}
+
+function main(argv) {
+  if (argv[0] === "--export") {
+    const gid = Number(argv[1]);
+    if (!gid) {
+      console.error("Dùng: node verify.js --export <id>");
+      return 2;
+    }
+    process.stdout.write(JSON.stringify(exportBundle(gid), null, 2) + "\n");
+    return 0;
+  }
+
+  if (!argv[0]) {
+    console.error("Dùng: node verify.js <bundle.json> | node verify.js --export <id>");
+    return 2;
+  }
+
+  const bundle = JSON.parse(fs.readFileSync(argv[0], "utf8"));
+  const r = verifyBundle(bundle);
+  printReport(bundle, r);
+  return r.ok ? 0 : 1;
+}
+
+if (require.main === module) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (err) {
+    console.error("VERIFY_FAIL", err?.message || err);
+    process.exitCode = 2;
+  }
+}
+
+module.exports = { verifyBundle, exportBundle, isDrawn, giveawayStatus };